@@ -0,0 +1,14 @@
+// config/admin.js
+// Telegram user IDs allowed to run /admin commands, e.g. ADMIN_TELEGRAM_IDS=123,456
+const ADMIN_TELEGRAM_IDS = new Set(
+  (process.env.ADMIN_TELEGRAM_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean)
+);
+
+function isAdmin(telegramId) {
+  return ADMIN_TELEGRAM_IDS.has(String(telegramId));
+}
+
+export { ADMIN_TELEGRAM_IDS, isAdmin };
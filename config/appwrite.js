@@ -15,6 +15,15 @@ const COLLECTIONS = {
   USERS: "6888bb550004b0f56b89",
   TRANSACTIONS: "6888bbfe002d1b0dee7c",
   WALLETS: "6888f8b80021f9a4a787",
+  LEDGER: process.env.APPWRITE_LEDGER_COLLECTION_ID || "wallet_ledger",
+  SESSIONS: process.env.APPWRITE_SESSIONS_COLLECTION_ID || "bot_sessions",
+  BENEFICIARIES:
+    process.env.APPWRITE_BENEFICIARIES_COLLECTION_ID || "beneficiaries",
+  BROADCASTS: process.env.APPWRITE_BROADCASTS_COLLECTION_ID || "broadcasts",
+  BROADCAST_DELIVERIES:
+    process.env.APPWRITE_BROADCAST_DELIVERIES_COLLECTION_ID ||
+    "broadcast_deliveries",
+  SCHEDULES: process.env.APPWRITE_SCHEDULES_COLLECTION_ID || "schedules",
 };
 
 export { client, databases, users, account, DATABASE_ID, COLLECTIONS };
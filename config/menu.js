@@ -0,0 +1,14 @@
+// config/menu.js
+const MAIN_MENU_KEYBOARD = {
+  keyboard: [
+    ["💳 Buy Airtime", "📱 Buy Data"],
+    ["💡 Pay Electricity", "📺 Pay TV"],
+    ["🎓 Education"],
+    ["💰 Fund Wallet", "📊 Check Balance"],
+    ["📜 Transaction History", "❓ Help"],
+  ],
+  resize_keyboard: true,
+  one_time_keyboard: false,
+};
+
+export { MAIN_MENU_KEYBOARD };
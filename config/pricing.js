@@ -0,0 +1,75 @@
+// config/pricing.js
+// Markups and discounts on top of the VTPass face value. A rule is either
+// { percent: n } or { flat: n }; positive numbers are a markup, negative ones
+// a discount. Rules are looked up by product type, then VTPass serviceID (or
+// "default"), then user tier, e.g.
+//
+//   {
+//     "data": { "default": { "regular": { "percent": 5 } },
+//               "mtn-data": { "reseller": { "percent": 1 } } },
+//     "electricity": { "default": { "regular": { "flat": 100 } } }
+//   }
+//
+// The whole table can be replaced with the PRICING_RULES environment variable
+// (JSON in the shape above).
+const USER_TIERS = ["regular", "agent", "reseller"];
+
+const DEFAULT_PRICING_RULES = {
+  airtime: {
+    default: {
+      regular: { percent: 0 },
+      agent: { percent: -1 },
+      reseller: { percent: -2 },
+    },
+  },
+  data: {
+    default: {
+      regular: { percent: 0 },
+      agent: { percent: -1 },
+      reseller: { percent: -2 },
+    },
+  },
+  electricity: {
+    default: {
+      regular: { flat: 0 },
+      agent: { flat: 0 },
+      reseller: { flat: 0 },
+    },
+  },
+  tv: {
+    default: {
+      regular: { percent: 0 },
+      agent: { percent: -0.5 },
+      reseller: { percent: -1 },
+    },
+  },
+  education: {
+    default: {
+      regular: { flat: 0 },
+      agent: { flat: 0 },
+      reseller: { flat: 0 },
+    },
+  },
+};
+
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`${name} is not valid JSON, using defaults:`, error);
+    return fallback;
+  }
+}
+
+const PRICING_RULES = parseJsonEnv("PRICING_RULES", DEFAULT_PRICING_RULES);
+
+// Share of the VTPass commission on each purchase that goes back to the user
+// as cashback, e.g. 0.2 = 20%. Per-product overrides via CASHBACK_SHARES JSON,
+// like {"data": 0.3, "electricity": 0}.
+const CASHBACK_SHARES = {
+  default: parseFloat(process.env.CASHBACK_SHARE ?? "0.2"),
+  ...parseJsonEnv("CASHBACK_SHARES", {}),
+};
+
+export { USER_TIERS, PRICING_RULES, CASHBACK_SHARES };
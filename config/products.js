@@ -0,0 +1,100 @@
+// config/products.js
+const PURCHASE_TYPES = ["airtime", "data", "electricity", "tv", "education"];
+
+const PRODUCT_LABELS = {
+  airtime: "airtime purchase",
+  data: "data purchase",
+  electricity: "electricity payment",
+  tv: "TV subscription",
+  education: "exam PIN purchase",
+};
+
+const SUPPORTED_NETWORKS = {
+  MTN: { name: "MTN", airtime_code: "mtn", data_code: "mtn-data" },
+  GLO: { name: "Glo", airtime_code: "glo", data_code: "glo-data" },
+  AIRTEL: { name: "Airtel", airtime_code: "airtel", data_code: "airtel-data" },
+  "9MOBILE": {
+    name: "9mobile",
+    airtime_code: "etisalat",
+    data_code: "etisalat-data",
+  },
+};
+
+// Number prefixes per network (keys of SUPPORTED_NETWORKS), local format.
+// The longest match wins, so 07025 beats a 4-digit entry. Numbers can be
+// ported between networks, so a match is a hint, not a rule.
+const NETWORK_PREFIXES = {
+  MTN: [
+    "0703",
+    "0704",
+    "0706",
+    "07025",
+    "07026",
+    "0803",
+    "0806",
+    "0810",
+    "0813",
+    "0814",
+    "0816",
+    "0903",
+    "0906",
+    "0913",
+    "0916",
+  ],
+  GLO: ["0705", "0805", "0807", "0811", "0815", "0905", "0915"],
+  AIRTEL: [
+    "0701",
+    "0708",
+    "0802",
+    "0808",
+    "0812",
+    "0901",
+    "0902",
+    "0904",
+    "0907",
+    "0912",
+  ],
+  "9MOBILE": ["0809", "0817", "0818", "0908", "0909"],
+};
+
+const SUPPORTED_ELECTRICITY_PROVIDERS = {
+  "eko-electric": { name: "Eko Electric" },
+  "kano-electric": { name: "Kano Electric" },
+  "portharcourt-electric": { name: "Port Harcourt Electric" },
+};
+
+// canRenew: VTPass takes subscription_type "renew" at the card's renewal
+// amount. Showmax has no decoder: the account is a phone number and VTPass
+// can't verify it.
+const SUPPORTED_TV_PROVIDERS = {
+  dstv: { name: "DSTV", code: "dstv", canRenew: true },
+  gotv: { name: "GOTV", code: "gotv", canRenew: true },
+  startimes: { name: "StarTimes", code: "startimes" },
+  showmax: { name: "Showmax", code: "showmax", account: "phone" },
+};
+
+// Exam PINs by VTPass serviceID. JAMB needs the candidate's profile ID
+// verified and sells one PIN per profile. NECO is out of scope: VTPass has
+// no NECO service to back it, so it gets added here once there's a provider.
+const EDUCATION_SERVICES = {
+  waec: { name: "WAEC Result Checker", maxQuantity: 10 },
+  "waec-registration": { name: "WAEC Registration", maxQuantity: 10 },
+  jamb: { name: "JAMB", verifyProfile: true, maxQuantity: 1 },
+};
+
+// How plan pickers group their buttons: "validity", "size" or "" for none
+const PLAN_GROUPING = {
+  data: process.env.DATA_PLAN_GROUP_BY ?? "validity",
+  tv: process.env.TV_PLAN_GROUP_BY ?? "",
+};
+
+export {
+  PURCHASE_TYPES,
+  PRODUCT_LABELS,
+  SUPPORTED_NETWORKS,
+  NETWORK_PREFIXES,
+  SUPPORTED_ELECTRICITY_PROVIDERS,
+  SUPPORTED_TV_PROVIDERS,
+  EDUCATION_SERVICES,
+  PLAN_GROUPING,
+};
@@ -0,0 +1,73 @@
+// flows/airtime.js
+import { SUPPORTED_NETWORKS } from "../config/products.js";
+import {
+  findNetwork,
+  isNetworkMismatch,
+  networkCheckStep,
+  prefillNetwork,
+} from "./network.js";
+import { parsePhone, parseAmount, pickFrom } from "./inputs.js";
+
+export default {
+  id: "airtime",
+  menu: "💳 Buy Airtime",
+  start: "network",
+  fromPhone: prefillNetwork,
+  steps: {
+    network: {
+      label: "Network",
+      prompt: "Please select your network for Airtime:",
+      options: () =>
+        Object.values(SUPPORTED_NETWORKS).map((network) => ({
+          text: network.name,
+          value: network.airtime_code,
+        })),
+      validate: pickFrom(
+        findNetwork,
+        "❌ Invalid network selected. Please try again."
+      ),
+      next: "amount",
+    },
+    amount: {
+      label: "Amount",
+      prompt: (data) =>
+        `Selected Network: ${data.network.name}\n\nEnter airtime amount:`,
+      validate: parseAmount(50),
+      next: "phone",
+    },
+    phone: {
+      label: "Phone number",
+      prompt: "📞 Enter phone number:",
+      beneficiaries: () => ({ kind: "phone" }),
+      validate: parsePhone,
+      next: (data) => (isNetworkMismatch(data) ? "networkCheck" : "confirm"),
+    },
+    networkCheck: networkCheckStep("confirm"),
+  },
+  confirm: {
+    title: "Confirm Airtime",
+    summary: (data) => [
+      ["Network", data.network.name],
+      ["Amount", `₦${data.amount}`],
+      ["Phone", data.phone],
+    ],
+    serviceID: (data) => data.network.airtime_code,
+    amount: (data) => data.amount,
+    details: (data) => ({ network: data.network.name, phone: data.phone }),
+    purchase: (data, vtpass) => (requestId) =>
+      vtpass.buyAirtime(
+        data.network.airtime_code,
+        data.amount,
+        data.phone,
+        requestId
+      ),
+    success: (data) =>
+      `✅ Airtime sent to ${data.phone} on ${data.network.name}!`,
+    failureLabel: "Airtime purchase",
+    beneficiary: (data) => ({
+      kind: "phone",
+      value: data.phone,
+      provider: data.network.airtime_code,
+    }),
+  },
+};
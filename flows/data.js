@@ -0,0 +1,114 @@
+// flows/data.js
+import { SUPPORTED_NETWORKS, PLAN_GROUPING } from "../config/products.js";
+import { FlowAbortError } from "./engine.js";
+import {
+  findNetwork,
+  isNetworkMismatch,
+  networkCheckStep,
+  prefillNetwork,
+} from "./network.js";
+import { parsePhone, pickFrom, getVariationList } from "./inputs.js";
+import { getPlans, planOptions, withPrices, findPlan } from "./plans.js";
+
+export default {
+  id: "data",
+  menu: "📱 Buy Data",
+  start: "network",
+  fromPhone: prefillNetwork,
+  steps: {
+    network: {
+      label: "Network",
+      prompt: "Please select your network for Data:",
+      options: () =>
+        Object.values(SUPPORTED_NETWORKS).map((network) => ({
+          text: network.name,
+          value: network.airtime_code,
+        })),
+      validate: pickFrom(
+        findNetwork,
+        "❌ Invalid network selected. Please try again."
+      ),
+      next: "phone",
+    },
+    phone: {
+      label: "Phone number",
+      prompt: (data) =>
+        `Selected Network: ${data.network.name}\n\n📞 Enter phone number for data:`,
+      beneficiaries: () => ({ kind: "phone" }),
+      validate: parsePhone,
+      next: (data) => (isNetworkMismatch(data) ? "networkCheck" : "plan"),
+    },
+    networkCheck: networkCheckStep("plan"),
+    plan: {
+      label: "Plan",
+      dependsOn: ["network", "networkCheck"],
+      prompt: (data) => `📦 Choose a data plan for ${data.network.name}:`,
+      options: async (data, { vtpass, quote }) => {
+        const plans = await withPrices(
+          await getPlans(vtpass, data.network.data_code),
+          async (amount) =>
+            (
+              await quote("data", data.network.data_code, amount)
+            ).sellingPrice
+        );
+        if (!plans.length) {
+          throw new FlowAbortError(
+            `❌ No data plans found for ${data.network.name}. Please try again later or choose another network.`
+          );
+        }
+        return planOptions(plans, PLAN_GROUPING.data);
+      },
+      columns: 1,
+      pageSize: 8,
+      jumpTo: { step: "network", text: "🔄 Change network" },
+      validate: pickFrom(
+        async (code, data, { vtpass }) =>
+          findPlan(await getPlans(vtpass, data.network.data_code), code),
+        "❌ That plan is no longer available. Please pick another."
+      ),
+      next: "confirm",
+    },
+  },
+  confirm: {
+    title: "Confirm Data",
+    summary: (data) => [
+      ["Network", data.network.name],
+      ["Plan", data.plan.name],
+      ["Phone", data.phone],
+    ],
+    serviceID: (data) => data.network.data_code,
+    amount: (data) => parseFloat(data.plan.variation_amount),
+    refresh: async (data, { vtpass }) => {
+      const variations = getVariationList(
+        await vtpass.getVariations(data.network.data_code)
+      );
+      const plan = findPlan(variations, data.plan.variation_code);
+      if (!plan) {
+        throw new FlowAbortError(
+          `❌ The ${data.plan.name} plan is no longer available.`
+        );
+      }
+      data.plan = plan;
+    },
+    details: (data) => ({
+      network: data.network.name,
+      plan: data.plan.name,
+      phone: data.phone,
+    }),
+    purchase: (data, vtpass) => (requestId) =>
+      vtpass.buyData(
+        data.network.data_code,
+        data.plan.variation_code,
+        data.phone,
+        requestId
+      ),
+    success: (data) =>
+      `✅ Data sent to ${data.phone} on ${data.network.name} (${data.plan.name})!`,
+    failureLabel: "Data purchase",
+    beneficiary: (data) => ({
+      kind: "phone",
+      value: data.phone,
+      provider: data.network.airtime_code,
+    }),
+  },
+};
@@ -0,0 +1,202 @@
+// flows/education.js
+// WAEC result checker / registration PINs and JAMB PINs, one option per
+// EDUCATION_SERVICES entry (see there for why NECO isn't one).
+import { EDUCATION_SERVICES } from "../config/products.js";
+import { getEducationPins } from "../services/vtpass.js";
+import { FlowAbortError, FlowInputError } from "./engine.js";
+import { parseDigits, parsePhone, pickFrom } from "./inputs.js";
+import { getPlans, planOptions, withPrices, findPlan } from "./plans.js";
+
+const QUANTITIES = [1, 2, 5, 10];
+
+// PIN lines for messages, numbered when there is more than one
+function formatPins(pins = []) {
+  return pins
+    .map(
+      ({ pin, serial }, i) =>
+        `\n🔑 ${pins.length > 1 ? `${i + 1}. ` : ""}PIN: ${pin}${
+          serial ? `\n   Serial: ${serial}` : ""
+        }`
+    )
+    .join("");
+}
+
+const afterPlan = (data) =>
+  data.service.verifyProfile
+    ? "profile"
+    : data.service.maxQuantity > 1
+    ? "quantity"
+    : "phone";
+
+export default {
+  id: "education",
+  menu: "🎓 Education",
+  start: "service",
+  // Exam PINs are bought for a sitting, not on a timetable
+  schedulable: false,
+  steps: {
+    service: {
+      label: "Exam",
+      prompt: "🎓 Which exam PIN do you need?",
+      options: () =>
+        Object.entries(EDUCATION_SERVICES).map(([code, service]) => ({
+          text: service.name,
+          value: code,
+        })),
+      columns: 1,
+      validate: pickFrom(
+        (code) =>
+          EDUCATION_SERVICES[code] && { ...EDUCATION_SERVICES[code], code },
+        "❌ Invalid exam selected. Please try again."
+      ),
+      next: "plan",
+    },
+    plan: {
+      label: "PIN type",
+      dependsOn: ["service"],
+      prompt: (data) => `🎓 Choose a ${data.service.name} PIN:`,
+      options: async (data, { vtpass, quote }) => {
+        const plans = await withPrices(
+          await getPlans(vtpass, data.service.code),
+          async (amount) =>
+            (
+              await quote("education", data.service.code, amount)
+            ).sellingPrice
+        );
+        if (!plans.length) {
+          throw new FlowAbortError(
+            `❌ ${data.service.name} PINs are unavailable right now. Please try again later.`
+          );
+        }
+        return planOptions(plans);
+      },
+      columns: 1,
+      validate: pickFrom(
+        async (code, data, { vtpass }) =>
+          findPlan(await getPlans(vtpass, data.service.code), code),
+        "❌ That PIN type is no longer available. Please pick another."
+      ),
+      next: afterPlan,
+    },
+    profile: {
+      label: "Profile ID",
+      dependsOn: ["plan"],
+      prompt: "🆔 Enter the candidate's JAMB profile ID:",
+      validate: async (input, data, { vtpass }) => {
+        const profileId = parseDigits(
+          10,
+          "❌ Invalid profile ID. It's the 10-digit number JAMB sent by SMS."
+        )(input);
+        const verification = await vtpass.verifyJambProfile(
+          profileId,
+          data.plan.variation_code
+        );
+        const content = verification.content || {};
+        if (
+          verification.code !== "000" ||
+          content.error ||
+          !content.Customer_Name
+        ) {
+          throw new FlowInputError(
+            `❌ We couldn't verify that profile ID: ${
+              content.error ||
+              verification.response_description ||
+              "Unknown error"
+            }. Check it and try again.`
+          );
+        }
+        data.candidate = content.Customer_Name;
+        return profileId;
+      },
+      next: "phone",
+    },
+    quantity: {
+      label: "Quantity",
+      dependsOn: ["service"],
+      prompt: (data) => `🔢 How many PINs? (1-${data.service.maxQuantity})`,
+      options: (data) =>
+        QUANTITIES.filter((n) => n <= data.service.maxQuantity).map((n) => ({
+          text: String(n),
+          value: n,
+        })),
+      columns: 4,
+      acceptText: true,
+      validate: (input, data) => {
+        const quantity = Number(input);
+        if (
+          !Number.isInteger(quantity) ||
+          quantity < 1 ||
+          quantity > data.service.maxQuantity
+        ) {
+          throw new FlowInputError(
+            `❌ Send a number between 1 and ${data.service.maxQuantity}.`
+          );
+        }
+        return quantity;
+      },
+      next: "phone",
+    },
+    phone: {
+      label: "Phone number",
+      prompt: (data) =>
+        data.candidate
+          ? `✅ Profile verified: ${data.candidate}\n📞 Enter your phone number:`
+          : "📞 Enter your phone number:",
+      beneficiaries: () => ({ kind: "phone" }),
+      validate: parsePhone,
+      next: "confirm",
+    },
+  },
+  confirm: {
+    title: "Confirm Exam PIN",
+    summary: (data) => [
+      ["Exam", data.service.name],
+      ["PIN type", data.plan.name],
+      ...(data.profile
+        ? [
+            ["Profile ID", data.profile],
+            ["Candidate", data.candidate],
+          ]
+        : []),
+      ["Quantity", data.quantity || 1],
+      ["Phone", data.phone],
+    ],
+    serviceID: (data) => data.service.code,
+    amount: (data) =>
+      parseFloat(data.plan.variation_amount) * (data.quantity || 1),
+    details: (data) => ({
+      service: data.service.name,
+      plan: data.plan.name,
+      quantity: data.quantity || 1,
+      ...(data.profile ? { profileId: data.profile } : {}),
+      phone: data.phone,
+    }),
+    purchase: (data, vtpass) => (requestId) =>
+      vtpass.buyEducationPin(
+        data.service.code,
+        data.plan.variation_code,
+        data.quantity || 1,
+        data.phone,
+        requestId,
+        {
+          billersCode: data.profile,
+          amount: parseFloat(data.plan.variation_amount) * (data.quantity || 1),
+        }
+      ),
+    success: (data, result) => {
+      const pins = getEducationPins(result);
+      if (!pins.length) {
+        return `✅ ${data.service.name} purchased!\n⏳ The PIN hasn't come through yet, use /exampins to get it shortly.`;
+      }
+      return `✅ ${data.service.name} PIN${
+        pins.length > 1 ? "s" : ""
+      } ready!${formatPins(pins)}\n\nKeep ${
+        pins.length > 1 ? "them" : "it"
+      } safe. /exampins shows your PINs again.`;
+    },
+    failureLabel: "Exam PIN purchase",
+    beneficiary: (data) => ({ kind: "phone", value: data.phone }),
+  },
+};
+
+export { formatPins };
@@ -0,0 +1,141 @@
+// flows/electricity.js
+import { SUPPORTED_ELECTRICITY_PROVIDERS } from "../config/products.js";
+import { getElectricityToken } from "../services/vtpass.js";
+import { FlowAbortError } from "./engine.js";
+import { parseAmount, parseDigits, parsePhone, pickFrom } from "./inputs.js";
+
+const METER_TYPES = { prepaid: "Prepaid", postpaid: "Postpaid" };
+
+// Token lines for messages, empty for postpaid (no token)
+function formatToken({ token, units } = {}) {
+  if (!token) return "";
+  return `\n🔑 Token: ${token}${units ? `\n⚡ Units: ${units}` : ""}`;
+}
+
+export default {
+  id: "electricity",
+  menu: "💡 Pay Electricity",
+  start: "provider",
+  steps: {
+    provider: {
+      label: "Provider",
+      prompt: "Please select your electricity provider:",
+      options: () =>
+        Object.entries(SUPPORTED_ELECTRICITY_PROVIDERS).map(
+          ([code, provider]) => ({ text: provider.name, value: code })
+        ),
+      validate: pickFrom(
+        (code) =>
+          SUPPORTED_ELECTRICITY_PROVIDERS[code] && {
+            code,
+            ...SUPPORTED_ELECTRICITY_PROVIDERS[code],
+          },
+        "❌ Invalid provider selected. Please try again."
+      ),
+      next: "meterType",
+    },
+    meterType: {
+      label: "Meter type",
+      prompt: "Is it a prepaid or postpaid meter?",
+      options: () =>
+        Object.entries(METER_TYPES).map(([value, text]) => ({ text, value })),
+      validate: pickFrom(
+        (type) => METER_TYPES[type] && type,
+        "❌ Please pick prepaid or postpaid."
+      ),
+      next: "meter",
+    },
+    meter: {
+      label: "Meter number",
+      dependsOn: ["provider", "meterType"],
+      prompt: (data) =>
+        `Selected Provider: ${data.provider.name} (${
+          METER_TYPES[data.meterType]
+        })\n\n🔌 Enter your meter number:`,
+      beneficiaries: (data) => ({
+        kind: "meter",
+        provider: data.provider.code,
+      }),
+      validate: async (input, data, { vtpass }) => {
+        const meter = parseDigits(
+          10,
+          "❌ Invalid meter number. Try again."
+        )(input);
+        const verification = await vtpass.verifyMeterNumber(
+          meter,
+          data.provider.code,
+          data.meterType
+        );
+        if (verification.code !== "000") {
+          throw new FlowAbortError(
+            `❌ Meter verification failed: ${
+              verification.response_description || "Unknown error"
+            }`
+          );
+        }
+        data.customerName = verification.content.Customer_Name;
+        data.customerAddress = verification.content.Address || null;
+        return meter;
+      },
+      next: "amount",
+    },
+    amount: {
+      label: "Amount",
+      prompt: (data) =>
+        `✅ Meter verified: ${data.customerName}\n💡 Enter amount to pay:`,
+      validate: parseAmount(100),
+      next: "phone",
+    },
+    phone: {
+      label: "Phone number",
+      prompt: "📞 Enter your phone number (the disco sends the receipt to it):",
+      beneficiaries: () => ({ kind: "phone" }),
+      validate: parsePhone,
+      next: "confirm",
+    },
+  },
+  confirm: {
+    title: "Confirm Payment",
+    summary: (data) => [
+      ["Provider", data.provider.name],
+      ["Meter", `${data.meter} (${METER_TYPES[data.meterType]})`],
+      ["Customer", data.customerName],
+      ["Amount", `₦${data.amount}`],
+      ["Phone", data.phone],
+    ],
+    serviceID: (data) => data.provider.code,
+    amount: (data) => data.amount,
+    details: (data) => ({
+      provider: data.provider.name,
+      meter: data.meter,
+      meterType: data.meterType,
+      phone: data.phone,
+    }),
+    purchase: (data, vtpass) => (requestId) =>
+      vtpass.payElectricityBill(
+        data.provider.code,
+        data.meter,
+        data.meterType,
+        data.amount,
+        data.phone,
+        requestId
+      ),
+    success: (data, result) => {
+      const token = getElectricityToken(result);
+      const customer = token.customerName || data.customerName;
+      return `✅ Electricity paid for meter ${data.meter}!${formatToken(
+        token
+      )}${customer ? `\n👤 ${customer}` : ""}${
+        token.customerAddress ? `\n📍 ${token.customerAddress}` : ""
+      }`;
+    },
+    failureLabel: "Electricity payment",
+    beneficiary: (data) => ({
+      kind: "meter",
+      value: data.meter,
+      provider: data.provider.code,
+    }),
+  },
+};
+
+export { METER_TYPES, formatToken };
@@ -0,0 +1,849 @@
+// flows/engine.js
+// Runs the step-by-step purchase conversations. A flow definition looks like:
+//
+//   {
+//     id: "airtime",            // also the transaction type
+//     menu: "💳 Buy Airtime",   // main menu button that starts it
+//     start: "network",         // first step
+//     fromPhone: (phone) => data,  // optional: start from a typed phone number
+//     steps: {
+//       network: {
+//         label: "Network",                      // used by the Edit menu
+//         prompt: "Select network:",             // string or (data) => string
+//         options: (data, services) => [{ text, value, group? }],  // buttons
+//         columns: 2, pageSize: 8,               // button layout and paging
+//         jumpTo: { step: "network", text: "🔄 Change network" },
+//         acceptText: false,                     // typed input too?
+//         beneficiaries: (data) => ({ kind, provider? }),  // saved recipients
+//         validate: (input, data, services) => value,  // throw FlowInputError
+//         enter: async (data, services) => {},   // runs before the prompt
+//         dependsOn: ["otherStep"],              // cleared when that changes
+//         next: "amount",                        // or (data) => key, or "confirm"
+//       },
+//     },
+//     confirm: {
+//       title: "Confirm Airtime",
+//       summary: (data) => [["Amount", "₦100"], ...],
+//       serviceID: (data) => "mtn",              // VTPass serviceID, for pricing
+//       amount: (data) => number,                // face value sent to VTPass
+//       refresh: async (data, { vtpass }) => {}, // re-check before a scheduled run
+//       details: (data) => ({}),                 // stored on the transaction
+//       purchase: (data, vtpass) => (requestId) => vtpass.buyAirtime(...),
+//       success: (data, result) => "✅ ...",
+//       beneficiary: (data) => ({ kind, value, provider }),  // offer to save
+//       failureLabel: "Airtime purchase",
+//     },
+//   }
+//
+// The wallet is debited the selling price from PurchaseService.getQuote,
+// which is worked out when the confirm screen is shown and kept in the
+// session so the user pays exactly what they saw. Showing it also stores a
+// fresh confirmId, which becomes the transaction (or schedule) document id:
+// a second Confirm for the same screen, from any instance of the bot, fails
+// with 409 instead of paying again.
+//
+// Steps with `beneficiaries` list the user's saved recipients as buttons and
+// still take typed input. After a successful purchase to a new recipient the
+// user is offered to save it (session.beneficiaryOffer, picked up by
+// handlers/beneficiaries.js).
+//
+// With a Scheduler set, the confirm screen also offers "🗓 Schedule": the
+// steps from flows/schedule.js run next and confirming saves a schedule
+// instead of buying (flows can opt out with `schedulable: false`).
+//
+// Back, Edit and Cancel buttons are added to every step automatically. Options
+// that carry a `group` get a row of filter buttons, one per group.
+import { randomBytes } from "crypto";
+import { clearSession } from "../services/sessions.js";
+import { normalizePhone, detectNetwork } from "../services/phone.js";
+import { receiptButton } from "../services/receipt.js";
+
+const CONFIRM = "confirm";
+const PIN = "pin";
+
+const PENDING_PURCHASE_MESSAGE =
+  "⏳ Your purchase is still being processed by the provider. We'll message you as soon as it's confirmed.";
+
+const DUPLICATE_CONFIRM_MESSAGE =
+  "⏳ This purchase has already been confirmed. Check 📜 Transaction History for its status.";
+
+const FROZEN_MESSAGE =
+  "🧊 Your account has been frozen. Please contact support.";
+
+// Bad input for the current step: the user is told why and asked again
+class FlowInputError extends Error {}
+
+// The flow can't continue (e.g. no plans available): it ends with this message
+class FlowAbortError extends Error {}
+
+class FlowEngine {
+  constructor({ bot, db, vtpass, purchases, pins, scheduler, flows = [] }) {
+    if (!bot || !db || !vtpass || !purchases) {
+      throw new Error("FlowEngine requires bot, db, vtpass and purchases");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.vtpass = vtpass;
+    this.purchases = purchases;
+    this.pins = pins;
+    this.scheduler = scheduler;
+    this.flows = new Map();
+    for (const flow of flows) this.register(flow);
+  }
+
+  register(flow) {
+    if (!flow.id || !flow.start || !flow.steps?.[flow.start]) {
+      throw new Error(`Invalid flow definition: ${flow.id}`);
+    }
+    if (this.canSchedule(flow)) {
+      flow = { ...flow, steps: { ...flow.steps, ...this.scheduler.steps } };
+    }
+    this.flows.set(flow.id, flow);
+  }
+
+  canSchedule(flow) {
+    return Boolean(this.scheduler) && flow.schedulable !== false;
+  }
+
+  // Passed to step hooks. quote() prices an amount for the current user.
+  // withPrices quotes every plan at once, so they all share one user lookup
+  // (the promise is cached, not the user it resolves to).
+  getServices(ctx) {
+    let user;
+    return {
+      db: this.db,
+      vtpass: this.vtpass,
+      quote: async (type, serviceID, amount) => {
+        user ??= this.db.getUserByTelegramId(ctx.userId);
+        return this.purchases.getQuote({
+          user: await user,
+          type,
+          serviceID,
+          amount,
+        });
+      },
+    };
+  }
+
+  getFlowByMenu(text) {
+    for (const flow of this.flows.values()) {
+      if (flow.menu === text) return flow;
+    }
+    return null;
+  }
+
+  isActive(session) {
+    return Boolean(session.flow && this.flows.has(session.flow.id));
+  }
+
+  // ctx: { chatId, userId, session, messageId?, inputMessageId? } — messageId
+  // is set when the update came from an inline button, so the prompt edits
+  // that message; inputMessageId is the user's own message (for PIN deletion).
+  // `data` pre-answers steps, which are then skipped like after an edit.
+  async start(ctx, flowId, data = {}) {
+    const flow = this.flows.get(flowId);
+    if (!flow) throw new Error(`Unknown flow: ${flowId}`);
+
+    clearSession(ctx.session);
+    ctx.session.flow = {
+      id: flowId,
+      step: null,
+      data,
+      history: [],
+      options: [],
+      page: 0,
+      group: null,
+      editing: Object.keys(data).length > 0,
+    };
+    return this.enterStep(ctx, this.firstIncompleteStep(flow, data));
+  }
+
+  // A bare phone number sent outside a flow: offer the flows that can start
+  // from one, with the network guessed from the prefix
+  async offerPhoneStart(ctx, text) {
+    if (!/^[+\d][\d\s-]*$/.test(text.trim())) return false;
+    const phone = normalizePhone(text);
+    const flows = [...this.flows.values()].filter((flow) => flow.fromPhone);
+    if (!phone || !flows.length) return false;
+
+    clearSession(ctx.session);
+    ctx.session.phoneStart = phone;
+    const network = detectNetwork(phone);
+    await this.send(
+      ctx,
+      `📞 ${phone}${
+        network ? ` (${network.name})` : ""
+      }\nWhat would you like to buy?`,
+      {
+        keyboard: {
+          inline_keyboard: [
+            flows.map((flow) => ({
+              text: flow.menu,
+              callback_data: `flow_phone_${flow.id}`,
+            })),
+            [{ text: "❌ Cancel", callback_data: "cancel_operation" }],
+          ],
+        },
+      }
+    );
+    return true;
+  }
+
+  async handleText(ctx, text) {
+    if (!this.isActive(ctx.session)) return false;
+    const state = ctx.session.flow;
+    const answer = text.toLowerCase();
+
+    if (answer === "cancel") {
+      await this.end(ctx, "❌ Operation cancelled.");
+      return true;
+    }
+
+    if (state.step === PIN) {
+      await this.checkPin(ctx, text);
+      return true;
+    }
+
+    if (state.step === CONFIRM) {
+      if (answer === "yes") {
+        await this.authorise(ctx);
+      } else {
+        await this.send(ctx, "Send 'yes' or 'cancel'");
+      }
+      return true;
+    }
+
+    const step = this.getStep(state);
+    if (state.options.length && !step.acceptText && !step.beneficiaries) {
+      await this.send(ctx, "👆 Please pick one of the options above.");
+      return true;
+    }
+
+    await this.submit(ctx, text);
+    return true;
+  }
+
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("flow_")) return false;
+
+    if (data.startsWith("flow_phone_")) {
+      const flow = this.flows.get(data.replace("flow_phone_", ""));
+      const phone = ctx.session.phoneStart;
+      if (!flow?.fromPhone || !phone) {
+        await this.send(
+          ctx,
+          "⌛ This button has expired. Send the number again."
+        );
+        return true;
+      }
+      await this.start(ctx, flow.id, flow.fromPhone(phone));
+      return true;
+    }
+
+    if (!this.isActive(ctx.session)) {
+      await this.send(
+        ctx,
+        "⌛ This menu has expired. Please start again from the menu."
+      );
+      return true;
+    }
+    const state = ctx.session.flow;
+
+    if (data === "flow_back") {
+      const previous = state.history.pop();
+      if (previous) await this.enterStep(ctx, previous);
+      return true;
+    }
+
+    if (data === "flow_confirm") {
+      if (state.step === CONFIRM) await this.authorise(ctx);
+      return true;
+    }
+
+    if (data === "flow_schedule") {
+      if (state.step !== CONFIRM || !this.canSchedule(this.getFlow(state))) {
+        return true;
+      }
+      state.history.push(CONFIRM);
+      await this.enterStep(ctx, "schedule");
+      return true;
+    }
+
+    if (data === "flow_unschedule") {
+      if (state.step !== CONFIRM) return true;
+      this.scheduler.clear(state.data);
+      state.history = state.history.filter(
+        (key) => !(key in this.scheduler.steps)
+      );
+      await this.showConfirm(ctx);
+      return true;
+    }
+
+    if (data === "flow_edit") {
+      await this.showEditMenu(ctx);
+      return true;
+    }
+
+    if (data.startsWith("flow_edit_")) {
+      const key = data.replace("flow_edit_", "");
+      if (!this.getFlow(state).steps[key]) return true;
+      state.editing = true;
+      state.history = [];
+      await this.enterStep(ctx, key);
+      return true;
+    }
+
+    if (data === "flow_noop") return true;
+
+    if (data.startsWith("flow_page_")) {
+      state.page = parseInt(data.replace("flow_page_", ""), 10) || 0;
+      await this.renderStep(ctx);
+      return true;
+    }
+
+    if (data.startsWith("flow_group_")) {
+      const group = data.replace("flow_group_", "");
+      state.group = group === "all" ? null : parseInt(group, 10);
+      state.page = 0;
+      await this.renderStep(ctx);
+      return true;
+    }
+
+    if (data.startsWith("flow_jump_")) {
+      const key = data.replace("flow_jump_", "");
+      if (!this.getFlow(state).steps[key]) return true;
+      state.history.push(state.step);
+      state.editing = true;
+      await this.enterStep(ctx, key);
+      return true;
+    }
+
+    if (data.startsWith("flow_opt_")) {
+      const option = state.options[parseInt(data.replace("flow_opt_", ""), 10)];
+      if (!option) {
+        await this.send(ctx, "❌ Invalid selection. Please try again.");
+        return true;
+      }
+      await this.submit(ctx, option.value);
+      return true;
+    }
+
+    return false;
+  }
+
+  getFlow(state) {
+    return this.flows.get(state.id);
+  }
+
+  getStep(state) {
+    return this.getFlow(state).steps[state.step];
+  }
+
+  async enterStep(ctx, key) {
+    const state = ctx.session.flow;
+    const flow = this.getFlow(state);
+    if (key === CONFIRM) return this.showConfirm(ctx);
+
+    const step = flow.steps[key];
+    state.step = key;
+    state.page = 0;
+    state.group = null;
+
+    try {
+      const services = this.getServices(ctx);
+      if (step.enter) await step.enter(state.data, services);
+      state.options = step.options
+        ? await step.options(state.data, services)
+        : [];
+      if (step.beneficiaries) {
+        state.options = [
+          ...(await this.getSavedOptions(ctx, step.beneficiaries(state.data))),
+          ...state.options,
+        ];
+      }
+    } catch (error) {
+      if (error instanceof FlowAbortError) return this.end(ctx, error.message);
+      throw error;
+    }
+
+    return this.renderStep(ctx);
+  }
+
+  async renderStep(ctx) {
+    const state = ctx.session.flow;
+    const step = this.getStep(state);
+    let prompt =
+      typeof step.prompt === "function" ? step.prompt(state.data) : step.prompt;
+    if (step.beneficiaries && state.options.length) {
+      prompt += "\n\n⭐ Or pick a saved recipient:";
+    }
+    return this.send(ctx, prompt, {
+      keyboard: this.buildStepKeyboard(state, step),
+      parseMode: step.parseMode,
+    });
+  }
+
+  async submit(ctx, input) {
+    const state = ctx.session.flow;
+    const flow = this.getFlow(state);
+    const step = this.getStep(state);
+
+    let value;
+    try {
+      value = step.validate
+        ? await step.validate(input, state.data, this.getServices(ctx))
+        : input;
+    } catch (error) {
+      if (error instanceof FlowInputError) {
+        // Replies to typed input go out as new messages, not edits
+        return this.send({ ...ctx, messageId: null }, error.message);
+      }
+      if (error instanceof FlowAbortError) return this.end(ctx, error.message);
+      throw error;
+    }
+
+    const changed =
+      JSON.stringify(state.data[state.step]) !== JSON.stringify(value);
+    state.data[state.step] = value;
+    if (changed) this.clearDependents(flow, state.data, state.step);
+    state.history.push(state.step);
+
+    if (state.editing) {
+      return this.enterStep(ctx, this.firstIncompleteStep(flow, state.data));
+    }
+    return this.enterStep(ctx, this.resolveNext(step, state.data));
+  }
+
+  resolveNext(step, data) {
+    return typeof step.next === "function" ? step.next(data) : step.next;
+  }
+
+  clearDependents(flow, data, changedKey) {
+    for (const [key, step] of Object.entries(flow.steps)) {
+      if (step.dependsOn?.includes(changedKey) && key in data) {
+        delete data[key];
+        this.clearDependents(flow, data, key);
+      }
+    }
+  }
+
+  // Steps the current answers lead through, in order. A scheduled purchase
+  // carries on through the schedule steps after the flow's own.
+  getPath(flow, data) {
+    const path = [];
+    let key = flow.start;
+    while (key && !path.includes(key)) {
+      if (key === CONFIRM) {
+        if (!data.schedule) break;
+        key = "schedule";
+        continue;
+      }
+      path.push(key);
+      if (!(key in data)) break;
+      key = this.resolveNext(flow.steps[key], data);
+    }
+    return path;
+  }
+
+  firstIncompleteStep(flow, data) {
+    return this.getPath(flow, data).find((key) => !(key in data)) || CONFIRM;
+  }
+
+  getGroups(state) {
+    const groups = [];
+    for (const option of state.options) {
+      if (option.group && !groups.includes(option.group)) {
+        groups.push(option.group);
+      }
+    }
+    return groups;
+  }
+
+  buildStepKeyboard(state, step) {
+    const rows = [];
+
+    // Indexes stay those of the full option list so flow_opt_<n> still
+    // points at the right option whatever page or group is showing
+    let visible = state.options.map((option, index) => ({ option, index }));
+
+    const groups = this.getGroups(state);
+    if (groups.length > 1) {
+      const chips = [
+        { text: state.group === null ? "• All" : "All", key: "all" },
+        ...groups.map((group, i) => ({
+          text: state.group === i ? `• ${group}` : group,
+          key: i,
+        })),
+      ].map((chip) => ({
+        text: chip.text,
+        callback_data: `flow_group_${chip.key}`,
+      }));
+      for (let i = 0; i < chips.length; i += 3)
+        rows.push(chips.slice(i, i + 3));
+
+      if (state.group !== null) {
+        visible = visible.filter(
+          ({ option }) => option.group === groups[state.group]
+        );
+      }
+    }
+
+    let pages = 1;
+    if (step.pageSize && visible.length > step.pageSize) {
+      pages = Math.ceil(visible.length / step.pageSize);
+      state.page = Math.min(Math.max(state.page, 0), pages - 1);
+      visible = visible.slice(
+        state.page * step.pageSize,
+        (state.page + 1) * step.pageSize
+      );
+    }
+
+    const columns = step.columns || 2;
+    visible.forEach(({ option, index }, i) => {
+      if (i % columns === 0) rows.push([]);
+      rows[rows.length - 1].push({
+        text: option.text,
+        callback_data: `flow_opt_${index}`,
+      });
+    });
+
+    if (pages > 1) {
+      const pager = [];
+      if (state.page > 0) {
+        pager.push({
+          text: "◀️ Prev",
+          callback_data: `flow_page_${state.page - 1}`,
+        });
+      }
+      pager.push({
+        text: `${state.page + 1}/${pages}`,
+        callback_data: "flow_noop",
+      });
+      if (state.page < pages - 1) {
+        pager.push({
+          text: "Next ▶️",
+          callback_data: `flow_page_${state.page + 1}`,
+        });
+      }
+      rows.push(pager);
+    }
+
+    if (step.jumpTo) {
+      rows.push([
+        {
+          text: step.jumpTo.text,
+          callback_data: `flow_jump_${step.jumpTo.step}`,
+        },
+      ]);
+    }
+
+    return { inline_keyboard: [...rows, this.buildNavRow(state)] };
+  }
+
+  buildNavRow(state) {
+    const row = [];
+    if (state.history.length) {
+      row.push({ text: "⬅️ Back", callback_data: "flow_back" });
+    }
+    row.push({ text: "❌ Cancel", callback_data: "cancel_operation" });
+    return row;
+  }
+
+  async showConfirm(ctx) {
+    const state = ctx.session.flow;
+    const flow = this.getFlow(state);
+    state.step = CONFIRM;
+    state.options = [];
+    state.editing = false;
+
+    // Backed out of the schedule steps before finishing them
+    if (
+      state.data.schedule &&
+      this.firstIncompleteStep(flow, state.data) !== CONFIRM
+    ) {
+      this.scheduler.clear(state.data);
+    }
+
+    // Same length as ID.unique(), so refund_<id> still fits in 36 characters
+    state.confirmId = randomBytes(10).toString("hex");
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    state.quote = this.purchases.getQuote({
+      user,
+      type: flow.type || flow.id,
+      serviceID: flow.confirm.serviceID?.(state.data),
+      amount: flow.confirm.amount(state.data),
+    });
+
+    const scheduled = Boolean(state.data.schedule);
+    const lines = [
+      ...flow.confirm.summary(state.data),
+      ["💰 Price", `₦${state.quote.sellingPrice.toFixed(2)}`],
+      ...(scheduled ? this.scheduler.describe(state.data) : []),
+    ]
+      .map(([label, value]) => `${label}: ${value}`)
+      .join("\n");
+
+    const confirmText = scheduled ? "✅ Save schedule" : "✅ Confirm";
+    const rows = [
+      [
+        { text: confirmText, callback_data: "flow_confirm" },
+        { text: "✏️ Edit", callback_data: "flow_edit" },
+      ],
+    ];
+    if (scheduled) {
+      rows.push([
+        { text: "⚡ Buy now instead", callback_data: "flow_unschedule" },
+      ]);
+    } else if (this.canSchedule(flow)) {
+      rows.push([{ text: "🗓 Schedule", callback_data: "flow_schedule" }]);
+    }
+    rows.push([{ text: "❌ Cancel", callback_data: "cancel_operation" }]);
+
+    return this.send(
+      ctx,
+      `${flow.confirm.title}:\n${lines}\n\nSend 'yes' or tap ${confirmText} to continue`,
+      { keyboard: { inline_keyboard: rows } }
+    );
+  }
+
+  async showEditMenu(ctx) {
+    const state = ctx.session.flow;
+    const flow = this.getFlow(state);
+    const buttons = this.getPath(flow, state.data)
+      .filter((key) => flow.steps[key].label)
+      .map((key) => [
+        {
+          text: `✏️ ${flow.steps[key].label}`,
+          callback_data: `flow_edit_${key}`,
+        },
+      ]);
+
+    return this.send(ctx, "What would you like to change?", {
+      keyboard: {
+        inline_keyboard: [
+          ...buttons,
+          [{ text: "❌ Cancel", callback_data: "cancel_operation" }],
+        ],
+      },
+    });
+  }
+
+  // Every debit needs the user's transaction PIN when a PinService is set
+  async authorise(ctx) {
+    if (!this.pins) return this.execute(ctx);
+
+    const state = ctx.session.flow;
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+
+    if (user?.frozen) return this.end(ctx, FROZEN_MESSAGE);
+    if (!this.pins.hasPin(user)) {
+      return this.end(
+        ctx,
+        "🔐 You need a transaction PIN before you can make purchases. Send /setpin to create one, then try again."
+      );
+    }
+    const lockedUntil = this.pins.getLockedUntil(user);
+    if (lockedUntil) {
+      return this.end(ctx, this.pins.formatLockMessage(lockedUntil));
+    }
+
+    state.step = PIN;
+    const price = `₦${state.quote.sellingPrice.toFixed(2)}`;
+    return this.send(
+      ctx,
+      state.data.schedule
+        ? `🔐 Enter your transaction PIN to schedule ${price} purchases:`
+        : `🔐 Enter your transaction PIN to pay ${price}:`,
+      {
+        keyboard: {
+          inline_keyboard: [
+            [{ text: "❌ Cancel", callback_data: "cancel_operation" }],
+          ],
+        },
+      }
+    );
+  }
+
+  async checkPin(ctx, pin) {
+    if (ctx.inputMessageId) {
+      try {
+        await this.bot.deleteMessage(ctx.chatId, ctx.inputMessageId);
+      } catch (error) {
+        console.warn("Could not delete PIN message:", error.message);
+      }
+    }
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    const check = await this.pins.verifyPin(user, pin);
+    if (check.ok) return this.execute(ctx);
+    if (check.lockedUntil) {
+      return this.end(ctx, this.pins.formatLockMessage(check.lockedUntil));
+    }
+    return this.send(
+      { ...ctx, messageId: null },
+      `❌ Wrong PIN. ${check.attemptsLeft} attempt(s) left. Try again:`
+    );
+  }
+
+  // The shared confirm-and-execute step: balance check, debit, VTPass call
+  // and transaction record all go through PurchaseService.
+  async execute(ctx) {
+    const state = ctx.session.flow;
+    const flow = this.getFlow(state);
+    const data = state.data;
+    const amount = flow.confirm.amount(data);
+    const { quote } = state;
+
+    // A double tap handled after this one saved the session stops here; one
+    // that already read the session is stopped by confirmId
+    state.step = null;
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (user?.frozen) return this.end(ctx, FROZEN_MESSAGE);
+    if (data.schedule) return this.saveSchedule(ctx, flow, user);
+    const wallet = user ? await this.db.getUserWallet(user.$id) : null;
+    if (!wallet || wallet.balance < quote.sellingPrice) {
+      return this.end(ctx, "❌ Insufficient balance. Please fund your wallet.");
+    }
+
+    let execution;
+    try {
+      execution = await this.purchases.execute({
+        user,
+        type: flow.type || flow.id,
+        serviceID: flow.confirm.serviceID?.(data),
+        amount,
+        quote,
+        details: flow.confirm.details(data),
+        purchase: flow.confirm.purchase(data, this.vtpass),
+        transactionId: state.confirmId,
+      });
+    } catch (error) {
+      if (error.code === 409) return this.end(ctx, DUPLICATE_CONFIRM_MESSAGE);
+      throw error;
+    }
+    const { transaction, result, transactionStatus, refund, cashback } =
+      execution;
+
+    if (transactionStatus === "pending") {
+      return this.end(ctx, PENDING_PURCHASE_MESSAGE);
+    }
+    if (transactionStatus === "success") {
+      const cashbackNote = cashback
+        ? `\n🎁 ₦${cashback.toFixed(
+            2
+          )} cashback earned. Send /cashback to use it.`
+        : "";
+      clearSession(ctx.session);
+      const saveOffer = await this.offerToSave(
+        ctx,
+        user,
+        flow.confirm.beneficiary?.(data)
+      );
+      return this.send(ctx, flow.confirm.success(data, result) + cashbackNote, {
+        keyboard: {
+          inline_keyboard: [
+            [receiptButton(transaction.$id)],
+            ...(saveOffer?.inline_keyboard || []),
+          ],
+        },
+      });
+    }
+
+    const reason = result.response_description || "Unknown error";
+    const refundNote = refund
+      ? `\n💸 ₦${parseFloat(refund.amount).toFixed(
+          2
+        )} has been refunded to your wallet.`
+      : "";
+    return this.end(
+      ctx,
+      `❌ ${flow.confirm.failureLabel} failed: ${reason}${refundNote}`
+    );
+  }
+
+  // Nothing is debited now; the Scheduler buys it through PurchaseService
+  async saveSchedule(ctx, flow, user) {
+    const data = ctx.session.flow.data;
+    const [[, when], [, first]] = this.scheduler.describe(data);
+    let schedule;
+    try {
+      schedule = await this.scheduler.create(user, flow, data, {
+        scheduleId: ctx.session.flow.confirmId,
+      });
+    } catch (error) {
+      if (error instanceof FlowAbortError) return this.end(ctx, error.message);
+      if (error.code === 409) {
+        return this.end(ctx, "🗓 This schedule has already been saved.");
+      }
+      throw error;
+    }
+    return this.end(
+      ctx,
+      `🗓 Scheduled: ${schedule.label}\n${when}, first run ${first}.\n\nYour wallet is charged at each run. Manage it with /schedules.`
+    );
+  }
+
+  async getSavedOptions(ctx, { kind, provider }) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) return [];
+    const saved = await this.db.getBeneficiaries(user.$id, { kind, provider });
+    return saved.map((beneficiary) => ({
+      text: `⭐ ${beneficiary.nickname} (${beneficiary.value})`,
+      value: beneficiary.value,
+    }));
+  }
+
+  // Returns the "Save recipient" keyboard, or undefined if it's already saved
+  async offerToSave(ctx, user, beneficiary) {
+    if (!beneficiary?.value) return undefined;
+    try {
+      if (
+        await this.db.findBeneficiary(
+          user.$id,
+          beneficiary.kind,
+          beneficiary.value
+        )
+      ) {
+        return undefined;
+      }
+      ctx.session.beneficiaryOffer = beneficiary;
+      return {
+        inline_keyboard: [
+          [{ text: "⭐ Save recipient", callback_data: "benef_save" }],
+        ],
+      };
+    } catch (error) {
+      console.error("Beneficiary offer Error:", error);
+      return undefined;
+    }
+  }
+
+  async end(ctx, message) {
+    clearSession(ctx.session);
+    return this.send(ctx, message);
+  }
+
+  async send(ctx, text, { keyboard, parseMode } = {}) {
+    const options = {};
+    if (keyboard) options.reply_markup = keyboard;
+    if (parseMode) options.parse_mode = parseMode;
+
+    if (ctx.messageId) {
+      try {
+        return await this.bot.editMessageText(text, {
+          chat_id: ctx.chatId,
+          message_id: ctx.messageId,
+          ...options,
+        });
+      } catch (error) {
+        // Telegram refuses edits of old or identical messages; fall through
+        console.warn("Flow edit failed, sending instead:", error.message);
+      }
+    }
+    return this.bot.sendMessage(ctx.chatId, text, options);
+  }
+}
+
+export { FlowEngine, FlowInputError, FlowAbortError };
@@ -0,0 +1,9 @@
+// flows/index.js
+import airtime from "./airtime.js";
+import data from "./data.js";
+import electricity from "./electricity.js";
+import tv from "./tv.js";
+import education from "./education.js";
+
+export { FlowEngine, FlowInputError, FlowAbortError } from "./engine.js";
+export const flows = [airtime, data, electricity, tv, education];
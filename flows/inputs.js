@@ -0,0 +1,52 @@
+// flows/inputs.js
+// Validators shared by the flow definitions
+import { FlowInputError } from "./engine.js";
+import { normalizePhone } from "../services/phone.js";
+
+// Stored in the local 0803... format VTPass expects
+function parsePhone(input) {
+  const phone = normalizePhone(input);
+  if (!phone) {
+    throw new FlowInputError(
+      "❌ Invalid phone number. Send it like 08031234567 or +2348031234567."
+    );
+  }
+  return phone;
+}
+
+function parseAmount(min) {
+  return (input) => {
+    const amount = parseFloat(input);
+    if (isNaN(amount) || amount < min) {
+      throw new FlowInputError(`❌ Enter valid amount (min ₦${min}).`);
+    }
+    return amount;
+  };
+}
+
+function parseDigits(min, message) {
+  return (input) => {
+    const value = String(input).trim();
+    if (!new RegExp(`^\\d{${min},}$`).test(value)) {
+      throw new FlowInputError(message);
+    }
+    return value;
+  };
+}
+
+// Options come from the step's keyboard, so anything else is a stale button
+// lookup may be async; it gets the step services as a third argument
+function pickFrom(lookup, message = "❌ Invalid selection. Please try again.") {
+  return async (value, data, services) => {
+    const picked = await lookup(value, data, services);
+    if (!picked) throw new FlowInputError(message);
+    return picked;
+  };
+}
+
+// VTPass spells it "varations" in the live API; the mocks use "variations"
+function getVariationList(response) {
+  return response?.content?.varations || response?.content?.variations || [];
+}
+
+export { parsePhone, parseAmount, parseDigits, pickFrom, getVariationList };
@@ -0,0 +1,56 @@
+// flows/network.js
+// Network picking shared by the airtime and data flows, including the
+// check that the phone number's prefix matches the chosen network.
+import { SUPPORTED_NETWORKS } from "../config/products.js";
+import { FlowInputError } from "./engine.js";
+import { detectNetwork } from "../services/phone.js";
+
+const findNetwork = (code) =>
+  Object.values(SUPPORTED_NETWORKS).find((net) => net.airtime_code === code);
+
+// True when the number's prefix belongs to another network than the chosen one
+function isNetworkMismatch(data) {
+  const detected = detectNetwork(data.phone);
+  return Boolean(
+    detected && detected.airtime_code !== data.network.airtime_code
+  );
+}
+
+// Asked only on a mismatch. Ported numbers keep their old prefix, so the
+// user can keep the network they picked.
+function networkCheckStep(next) {
+  return {
+    dependsOn: ["network", "phone"],
+    prompt: (data) =>
+      `⚠️ The prefix of ${data.phone} belongs to ${
+        detectNetwork(data.phone).name
+      }, but you picked ${data.network.name}.\n\nIf the number was ported to ${
+        data.network.name
+      }, keep it.`,
+    options: (data) => [
+      {
+        text: `🔄 Switch to ${detectNetwork(data.phone).name}`,
+        value: "switch",
+      },
+      { text: `✅ Keep ${data.network.name} (ported)`, value: "keep" },
+    ],
+    columns: 1,
+    validate: (input, data) => {
+      if (input === "switch") {
+        data.network = detectNetwork(data.phone);
+      } else if (input !== "keep") {
+        throw new FlowInputError("❌ Please pick one of the options above.");
+      }
+      return input;
+    },
+    next,
+  };
+}
+
+// flow.fromPhone for flows that start with a network and a phone number
+function prefillNetwork(phone) {
+  const network = detectNetwork(phone);
+  return network ? { network, phone } : { phone };
+}
+
+export { findNetwork, isNetworkMismatch, networkCheckStep, prefillNetwork };
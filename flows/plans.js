@@ -0,0 +1,105 @@
+// flows/plans.js
+// Turns a getVariations() list into plan buttons, optionally grouped by how
+// long the plan lasts or how much data it carries (both read from the name,
+// VTPass doesn't send them as fields).
+import { getVariationList } from "./inputs.js";
+
+// Plan lists live here for a few minutes instead of in the session, which
+// may be persisted: only the picked plan goes into the flow's answers.
+const PLAN_CACHE_MS = 5 * 60 * 1000;
+const planCache = new Map();
+
+async function getPlans(vtpass, serviceID) {
+  const cached = planCache.get(serviceID);
+  if (cached && cached.expiresAt > Date.now()) return cached.plans;
+  const plans = getVariationList(await vtpass.getVariations(serviceID));
+  planCache.set(serviceID, { plans, expiresAt: Date.now() + PLAN_CACHE_MS });
+  return plans;
+}
+
+function getPlanValidityDays(name) {
+  const text = name.toLowerCase();
+  const match = text.match(
+    /(\d+)\s*-?\s*(hrs?|hours?|days?|weeks?|wks?|months?|mnths?|years?)\b/
+  );
+  if (match) {
+    const count = parseInt(match[1], 10);
+    const unit = match[2];
+    if (unit.startsWith("h")) return count / 24;
+    if (unit.startsWith("d")) return count;
+    if (unit.startsWith("w")) return count * 7;
+    if (unit.startsWith("m")) return count * 30;
+    if (unit.startsWith("y")) return count * 365;
+  }
+  if (/\bdaily\b/.test(text)) return 1;
+  if (/\bweekly\b/.test(text)) return 7;
+  if (/\bmonthly\b/.test(text)) return 30;
+  return null;
+}
+
+function getPlanSizeMB(name) {
+  const match = name.match(/(\d+(?:\.\d+)?)\s*(MB|GB|TB)\b/i);
+  if (!match) return null;
+  const size = parseFloat(match[1]);
+  const unit = match[2].toUpperCase();
+  if (unit === "TB") return size * 1024 * 1024;
+  if (unit === "GB") return size * 1024;
+  return size;
+}
+
+function validityGroup(variation) {
+  const days = getPlanValidityDays(variation.name);
+  if (days === null) return "Other";
+  if (days <= 1) return "Daily";
+  if (days <= 7) return "Weekly";
+  if (days <= 31) return "Monthly";
+  return "Long term";
+}
+
+function sizeGroup(variation) {
+  const mb = getPlanSizeMB(variation.name);
+  if (mb === null) return "Other";
+  if (mb < 1024) return "Under 1GB";
+  if (mb <= 5 * 1024) return "1GB – 5GB";
+  if (mb <= 20 * 1024) return "5GB – 20GB";
+  return "Above 20GB";
+}
+
+const GROUPERS = { validity: validityGroup, size: sizeGroup };
+
+// Adds what the user will actually pay to each variation as `price`
+async function withPrices(variations, priceOf) {
+  return Promise.all(
+    variations.map(async (variation) => ({
+      ...variation,
+      price: await priceOf(parseFloat(variation.variation_amount)),
+    }))
+  );
+}
+
+function planOptions(variations, groupBy) {
+  const grouper = GROUPERS[groupBy];
+  return variations.map((variation) => ({
+    text: `${variation.name} · ₦${
+      variation.price ?? variation.variation_amount
+    }`,
+    value: variation.variation_code,
+    ...(grouper ? { group: grouper(variation) } : {}),
+  }));
+}
+
+function findPlan(variations, code) {
+  return variations.find(
+    (variation) =>
+      variation.variation_code.toLowerCase() === String(code).toLowerCase()
+  );
+}
+
+export {
+  getPlans,
+  planOptions,
+  withPrices,
+  findPlan,
+  getPlanValidityDays,
+  getPlanSizeMB,
+};
@@ -0,0 +1,224 @@
+// flows/schedule.js
+// Steps the engine adds to every flow when a Scheduler is set, reached from
+// the confirm screen's "🗓 Schedule" button, plus the date maths for them.
+// A rule looks like { frequency, hour, date?, weekday?, monthday? }.
+import { FlowInputError } from "./engine.js";
+
+// Nigeria has no daylight saving, so Lagos is always UTC+1
+const LAGOS_OFFSET = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = {
+  once: "Once",
+  daily: "Every day",
+  weekly: "Every week",
+  monthly: "Every month",
+};
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const HOURS = [6, 9, 12, 15, 18, 21];
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// "YYYY-MM-DD" at `hour` Lagos time, as a Date
+function lagosTime(dateString, hour) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour) - LAGOS_OFFSET);
+}
+
+function lagosToday() {
+  return new Date(Date.now() + LAGOS_OFFSET).toISOString().slice(0, 10);
+}
+
+// First run strictly after `after`, or null when a one-off has passed
+function computeNextRun(rule, after = new Date()) {
+  if (rule.frequency === "once") {
+    const runAt = lagosTime(rule.date, rule.hour);
+    return runAt > after ? runAt : null;
+  }
+
+  // Do the calendar maths on Lagos wall-clock time shifted into UTC
+  const now = new Date(after.getTime() + LAGOS_OFFSET);
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  let candidate;
+
+  if (rule.frequency === "monthly") {
+    // The 31st runs on the last day of shorter months
+    const at = (m) =>
+      Date.UTC(
+        year,
+        m,
+        Math.min(rule.monthday, daysInMonth(year, m)),
+        rule.hour
+      );
+    candidate = at(month);
+    if (candidate <= now.getTime()) candidate = at(month + 1);
+  } else {
+    candidate = Date.UTC(year, month, now.getUTCDate(), rule.hour);
+    if (rule.frequency === "weekly") {
+      candidate += ((rule.weekday - now.getUTCDay() + 7) % 7) * DAY;
+      if (candidate <= now.getTime()) candidate += 7 * DAY;
+    } else if (candidate <= now.getTime()) {
+      candidate += DAY;
+    }
+  }
+  return new Date(candidate - LAGOS_OFFSET);
+}
+
+function describeRule(rule) {
+  const time = formatHour(rule.hour);
+  switch (rule.frequency) {
+    case "once":
+      return `Once on ${rule.date} at ${time}`;
+    case "daily":
+      return `Every day at ${time}`;
+    case "weekly":
+      return `Every ${WEEKDAYS[rule.weekday]} at ${time}`;
+    case "monthly":
+      return `Monthly on day ${rule.monthday} at ${time}`;
+    default:
+      return rule.frequency;
+  }
+}
+
+function formatLagos(date) {
+  return new Date(date).toLocaleString("en-NG", {
+    timeZone: "Africa/Lagos",
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function getScheduleRule(data) {
+  return {
+    frequency: data.schedule,
+    hour: data.scheduleHour,
+    ...(data.schedule === "once" ? { date: data.scheduleDate } : {}),
+    ...(data.schedule === "weekly" ? { weekday: data.scheduleWeekday } : {}),
+    ...(data.schedule === "monthly" ? { monthday: data.scheduleMonthday } : {}),
+  };
+}
+
+const SCHEDULE_STEPS = {
+  schedule: {
+    label: "Schedule",
+    prompt: "🗓 How often should this purchase run?",
+    options: () =>
+      Object.entries(FREQUENCIES).map(([value, text]) => ({ text, value })),
+    validate: (input) => {
+      if (!FREQUENCIES[input]) {
+        throw new FlowInputError("❌ Please pick one of the options above.");
+      }
+      return input;
+    },
+    next: (data) =>
+      ({
+        once: "scheduleDate",
+        weekly: "scheduleWeekday",
+        monthly: "scheduleMonthday",
+      }[data.schedule] || "scheduleHour"),
+  },
+  scheduleDate: {
+    label: "Date",
+    dependsOn: ["schedule"],
+    prompt: () => `📅 Send the date as YYYY-MM-DD (e.g. ${lagosToday()}):`,
+    validate: (input) => {
+      const date = String(input).trim();
+      const [year, month, day] = date.split("-").map(Number);
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+        month < 1 ||
+        month > 12 ||
+        day < 1 ||
+        day > daysInMonth(year, month - 1)
+      ) {
+        throw new FlowInputError("❌ Invalid date. Use YYYY-MM-DD.");
+      }
+      if (date < lagosToday()) {
+        throw new FlowInputError("❌ That date has passed. Send a later one.");
+      }
+      return date;
+    },
+    next: "scheduleHour",
+  },
+  scheduleWeekday: {
+    label: "Day of the week",
+    dependsOn: ["schedule"],
+    prompt: "📅 Which day of the week?",
+    options: () => WEEKDAYS.map((text, value) => ({ text, value })),
+    columns: 3,
+    validate: (input) => {
+      const weekday = parseInt(input, 10);
+      if (!WEEKDAYS[weekday]) {
+        throw new FlowInputError("❌ Please pick one of the options above.");
+      }
+      return weekday;
+    },
+    next: "scheduleHour",
+  },
+  scheduleMonthday: {
+    label: "Day of the month",
+    dependsOn: ["schedule"],
+    prompt:
+      "📅 Which day of the month (1-31)? Shorter months use their last day.",
+    options: () =>
+      [1, 15, 28].map((day) => ({ text: String(day), value: day })),
+    columns: 3,
+    acceptText: true,
+    validate: (input) => {
+      const day = Number(input);
+      if (!Number.isInteger(day) || day < 1 || day > 31) {
+        throw new FlowInputError("❌ Send a day between 1 and 31.");
+      }
+      return day;
+    },
+    next: "scheduleHour",
+  },
+  scheduleHour: {
+    label: "Time",
+    dependsOn: ["schedule", "scheduleDate"],
+    prompt: "⏰ What time should it run? (Lagos time)",
+    options: () =>
+      HOURS.map((hour) => ({ text: formatHour(hour), value: hour })),
+    columns: 3,
+    validate: (input, data) => {
+      const hour = parseInt(input, 10);
+      if (!HOURS.includes(hour)) {
+        throw new FlowInputError("❌ Please pick one of the options above.");
+      }
+      if (
+        data.schedule === "once" &&
+        !computeNextRun(getScheduleRule({ ...data, scheduleHour: hour }))
+      ) {
+        throw new FlowInputError("❌ That time has passed. Pick a later one.");
+      }
+      return hour;
+    },
+    next: "confirm",
+  },
+};
+
+export {
+  SCHEDULE_STEPS,
+  WEEKDAYS,
+  computeNextRun,
+  describeRule,
+  formatLagos,
+  getScheduleRule,
+  lagosTime,
+  lagosToday,
+};
@@ -0,0 +1,254 @@
+// flows/tv.js
+import { SUPPORTED_TV_PROVIDERS, PLAN_GROUPING } from "../config/products.js";
+import { FlowAbortError, FlowInputError } from "./engine.js";
+import {
+  parseDigits,
+  parsePhone,
+  pickFrom,
+  getVariationList,
+} from "./inputs.js";
+import { getPlans, planOptions, withPrices, findPlan } from "./plans.js";
+
+// Showmax accounts are phone numbers, everything else a smart card / IUC
+const isPhoneAccount = (data) => data.provider.account === "phone";
+const isRenewal = (data) => data.action === "renew";
+const afterPlan = (data) => (isPhoneAccount(data) ? "confirm" : "phone");
+
+// VTPass's subscription_type, only sent for DStv and GOtv
+const subscriptionType = (data) =>
+  data.provider.canRenew ? (isRenewal(data) ? "renew" : "change") : undefined;
+
+// Looks the card up and returns what the prompts and renewal need
+async function verifyCard(vtpass, card, provider) {
+  const verification = await vtpass.verifySmartcard(card, provider.code);
+  const content = verification.content || {};
+  if (verification.code !== "000" || content.error || !content.Customer_Name) {
+    throw new FlowInputError(
+      `❌ We couldn't verify that ${provider.name} card: ${
+        content.error || verification.response_description || "Unknown error"
+      }. Check the number and try again.`
+    );
+  }
+  return {
+    name: content.Customer_Name,
+    bouquet: content.Current_Bouquet || null,
+    dueDate: content.Due_Date ? String(content.Due_Date).split("T")[0] : null,
+    renewalAmount: parseFloat(content.Renewal_Amount) || null,
+  };
+}
+
+function describeCustomer(customer) {
+  if (!customer) return "";
+  return [
+    `👤 ${customer.name}`,
+    customer.bouquet && `📺 Current bouquet: ${customer.bouquet}`,
+    customer.dueDate && `📅 Due: ${customer.dueDate}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export default {
+  id: "tv",
+  menu: "📺 Pay TV",
+  start: "provider",
+  steps: {
+    provider: {
+      label: "Provider",
+      prompt: "Please select your TV provider:",
+      options: () =>
+        Object.entries(SUPPORTED_TV_PROVIDERS).map(([code, provider]) => ({
+          text: provider.name,
+          value: code,
+        })),
+      validate: pickFrom(
+        (code) =>
+          SUPPORTED_TV_PROVIDERS[code] && {
+            ...SUPPORTED_TV_PROVIDERS[code],
+            code,
+          },
+        "❌ Invalid provider selected. Please try again."
+      ),
+      next: "card",
+    },
+    card: {
+      label: "Smart card",
+      dependsOn: ["provider"],
+      prompt: (data) =>
+        isPhoneAccount(data)
+          ? `Selected Provider: ${data.provider.name}\n\n📞 Enter the phone number for the Showmax account:`
+          : `Selected Provider: ${data.provider.name}\n\n📺 Enter Smart Card Number:`,
+      beneficiaries: (data) =>
+        isPhoneAccount(data)
+          ? { kind: "phone" }
+          : { kind: "smartcard", provider: data.provider.code },
+      validate: async (input, data, { vtpass }) => {
+        if (isPhoneAccount(data)) {
+          delete data.customer;
+          return parsePhone(input);
+        }
+        const card = parseDigits(
+          10,
+          "❌ Invalid Smart Card Number. Try again."
+        )(input);
+        data.customer = await verifyCard(vtpass, card, data.provider);
+        return card;
+      },
+      next: (data) =>
+        data.provider.canRenew && data.customer?.renewalAmount
+          ? "action"
+          : "plan",
+    },
+    action: {
+      label: "Renew or change",
+      dependsOn: ["card"],
+      prompt: (data) =>
+        `✅ Card verified\n${describeCustomer(
+          data.customer
+        )}\n\nRenew the current bouquet or change to another one?`,
+      options: (data) => [
+        {
+          text: `🔁 Renew ${data.customer.bouquet || "current bouquet"} · ₦${
+            data.customer.renewalAmount
+          }`,
+          value: "renew",
+        },
+        { text: "🔄 Change bouquet", value: "change" },
+      ],
+      columns: 1,
+      validate: pickFrom(
+        (action) => ["renew", "change"].includes(action) && action,
+        "❌ Please pick renew or change."
+      ),
+      next: (data) => (isRenewal(data) ? "phone" : "plan"),
+    },
+    plan: {
+      label: "Plan",
+      dependsOn: ["provider", "action"],
+      prompt: (data) =>
+        [
+          data.action ? "" : describeCustomer(data.customer),
+          `📺 Choose a TV plan for ${data.provider.name}:`,
+        ]
+          .filter(Boolean)
+          .join("\n\n"),
+      options: async (data, { vtpass, quote }) => {
+        const plans = await withPrices(
+          await getPlans(vtpass, data.provider.code),
+          async (amount) =>
+            (
+              await quote("tv", data.provider.code, amount)
+            ).sellingPrice
+        );
+        if (!plans.length) {
+          throw new FlowAbortError(
+            `❌ No TV plans found for ${data.provider.name}. Please try again later.`
+          );
+        }
+        return planOptions(plans, PLAN_GROUPING.tv);
+      },
+      columns: 1,
+      pageSize: 8,
+      jumpTo: { step: "provider", text: "🔄 Change provider" },
+      validate: pickFrom(
+        async (code, data, { vtpass }) =>
+          findPlan(await getPlans(vtpass, data.provider.code), code),
+        "❌ That plan is no longer available. Please pick another."
+      ),
+      next: afterPlan,
+    },
+    phone: {
+      label: "Phone number",
+      prompt: "📞 Enter your phone number:",
+      beneficiaries: () => ({ kind: "phone" }),
+      validate: parsePhone,
+      next: "confirm",
+    },
+  },
+  confirm: {
+    title: "Confirm TV",
+    summary: (data) => [
+      ["Provider", data.provider.name],
+      [isPhoneAccount(data) ? "Account" : "Card", data.card],
+      ...(data.customer ? [["Customer", data.customer.name]] : []),
+      [
+        "Plan",
+        isRenewal(data)
+          ? `Renew ${data.customer.bouquet || "current bouquet"}`
+          : data.plan.name,
+      ],
+      ...(data.phone ? [["Phone", data.phone]] : []),
+    ],
+    serviceID: (data) => data.provider.code,
+    amount: (data) =>
+      isRenewal(data)
+        ? data.customer.renewalAmount
+        : parseFloat(data.plan.variation_amount),
+    // A renewal's amount follows the bouquet, so check the card again
+    refresh: async (data, { vtpass }) => {
+      if (isRenewal(data)) {
+        try {
+          data.customer = await verifyCard(vtpass, data.card, data.provider);
+        } catch (error) {
+          if (!(error instanceof FlowInputError)) throw error;
+          throw new FlowAbortError(error.message);
+        }
+        if (!data.customer.renewalAmount) {
+          throw new FlowAbortError(
+            `❌ Card ${data.card} has no bouquet to renew.`
+          );
+        }
+        return;
+      }
+      const variations = getVariationList(
+        await vtpass.getVariations(data.provider.code)
+      );
+      const plan = findPlan(variations, data.plan.variation_code);
+      if (!plan) {
+        throw new FlowAbortError(
+          `❌ The ${data.plan.name} plan is no longer available.`
+        );
+      }
+      data.plan = plan;
+    },
+    details: (data) => ({
+      provider: data.provider.name,
+      card: data.card,
+      plan: isRenewal(data) ? data.customer.bouquet : data.plan.name,
+      ...(data.provider.canRenew
+        ? { subscriptionType: subscriptionType(data) }
+        : {}),
+      ...(data.phone ? { phone: data.phone } : {}),
+    }),
+    purchase: (data, vtpass) => (requestId) =>
+      vtpass.payTvSubscription(
+        data.provider.code,
+        data.card,
+        isRenewal(data) ? null : data.plan.variation_code,
+        requestId,
+        {
+          subscriptionType: subscriptionType(data),
+          amount: isRenewal(data)
+            ? data.customer.renewalAmount
+            : parseFloat(data.plan.variation_amount),
+          phone: isPhoneAccount(data) ? data.card : data.phone,
+        }
+      ),
+    success: (data, result) => {
+      // Showmax sends back a voucher code to activate on the app
+      const voucher = isPhoneAccount(data) && result?.purchased_code;
+      return `✅ TV subscription completed for ${data.card}!${
+        voucher ? `\n🎟 ${voucher}` : ""
+      }`;
+    },
+    failureLabel: "TV subscription",
+    beneficiary: (data) =>
+      isPhoneAccount(data)
+        ? { kind: "phone", value: data.card }
+        : {
+            kind: "smartcard",
+            value: data.card,
+            provider: data.provider.code,
+          },
+  },
+};
@@ -0,0 +1,294 @@
+// handlers/admin.js
+// /admin commands for operators listed in ADMIN_TELEGRAM_IDS. Every command,
+// including lookups, is recorded through DatabaseService with the admin's ID.
+import { isAdmin } from "../config/admin.js";
+import { USER_TIERS } from "../config/pricing.js";
+import { toCsv } from "../services/csv.js";
+
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+
+const USAGE = `🛠 Admin commands:
+/admin stats
+/admin user <telegramId|@username>
+/admin credit <telegramId|@username> <amount> [reason]
+/admin debit <telegramId|@username> <amount> [reason]
+/admin txn <reference>
+/admin commission [days]
+/admin freeze <telegramId|@username> [reason]
+/admin unfreeze <telegramId|@username>
+/admin tier <telegramId|@username> <${USER_TIERS.join("|")}>
+/admin broadcast`;
+
+const formatNaira = (amount) => `₦${(parseFloat(amount) || 0).toFixed(2)}`;
+
+class AdminHandler {
+  constructor({ bot, db, pins, broadcastHandler }) {
+    if (!bot || !db) throw new Error("AdminHandler requires bot and db");
+    this.bot = bot;
+    this.db = db;
+    this.pins = pins;
+    this.broadcastHandler = broadcastHandler;
+  }
+
+  // Non-admins get no reply at all, so the command isn't advertised
+  async handle(msg, input = "", session = {}) {
+    const admin = msg.from;
+    if (!isAdmin(admin.id)) {
+      console.warn(`⚠️ Rejected /admin from ${admin.id}`);
+      return;
+    }
+
+    const chatId = msg.chat.id;
+    const [command, ...args] = input.trim().split(/\s+/).filter(Boolean);
+
+    try {
+      switch (command) {
+        case "stats":
+          return await this.stats(chatId, admin);
+        case "user":
+          return await this.user(chatId, admin, args);
+        case "credit":
+        case "debit":
+          return await this.adjust(chatId, admin, command, args);
+        case "txn":
+          return await this.txn(chatId, admin, args);
+        case "commission":
+          return await this.commission(chatId, admin, args);
+        case "freeze":
+        case "unfreeze":
+          return await this.freeze(chatId, admin, command === "freeze", args);
+        case "tier":
+          return await this.tier(chatId, admin, args);
+        case "broadcast":
+          if (!this.broadcastHandler) break;
+          await this.db.recordAdminAction(admin, "broadcast", {});
+          return await this.broadcastHandler.start({
+            chatId,
+            userId: admin.id,
+            session,
+          });
+      }
+      return await this.bot.sendMessage(chatId, USAGE);
+    } catch (error) {
+      console.error("Admin command Error:", error);
+      return this.bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
+  async resolveUser(chatId, identifier) {
+    if (!identifier) {
+      await this.bot.sendMessage(chatId, USAGE);
+      return null;
+    }
+    const user = await this.db.findUser(identifier);
+    if (!user) await this.bot.sendMessage(chatId, `❌ No user ${identifier}`);
+    return user;
+  }
+
+  async stats(chatId, admin) {
+    const stats = await this.db.getAdminStats();
+    await this.db.recordAdminAction(admin, "stats", {});
+
+    const volume = Object.entries(stats.volume).map(
+      ([type, { count, amount }]) =>
+        `• ${type}: ${count} (${formatNaira(amount)})`
+    );
+    return this.bot.sendMessage(
+      chatId,
+      `📈 Stats
+👥 Users: ${stats.users} (${stats.frozenUsers} frozen)
+💼 Wallet balances: ${formatNaira(stats.walletTotal)}
+⏳ Pending transactions: ${stats.pending}
+
+Last 24h: ${stats.recent} transactions
+${volume.join("\n") || "• No successful transactions"}`
+    );
+  }
+
+  async user(chatId, admin, [identifier]) {
+    const user = await this.resolveUser(chatId, identifier);
+    if (!user) return;
+
+    const [wallet, txns] = await Promise.all([
+      this.db.getUserWallet(user.$id),
+      this.db.getUserTransactions(user.$id, 5),
+    ]);
+    await this.db.recordAdminAction(admin, "user", { userId: user.$id });
+
+    const lines = txns.map(
+      (t) =>
+        `• ${t.type} ${formatNaira(t.amount)} - ${t.status} (${t.reference})`
+    );
+    return this.bot.sendMessage(
+      chatId,
+      `👤 ${[user.firstName, user.lastName].filter(Boolean).join(" ")}${
+        user.username ? ` (@${user.username})` : ""
+      }
+Telegram ID: ${user.telegramId}
+User ID: ${user.$id}
+Joined: ${user.createdAt?.split("T")[0] || "unknown"}
+Balance: ${formatNaira(wallet?.balance)}
+Tier: ${user.tier || "regular"}
+Frozen: ${user.frozen ? "yes" : "no"}
+PIN: ${this.pins?.hasPin(user) ? "set" : "not set"}
+
+Recent transactions:
+${lines.join("\n") || "• None"}`
+    );
+  }
+
+  async adjust(chatId, admin, type, [identifier, rawAmount, ...reason]) {
+    const amount = parseFloat(rawAmount);
+    if (!identifier || isNaN(amount) || amount <= 0) {
+      return this.bot.sendMessage(chatId, USAGE);
+    }
+    const user = await this.resolveUser(chatId, identifier);
+    if (!user) return;
+
+    const { wallet, transaction } = await this.db.adminAdjustWallet(
+      admin,
+      user.$id,
+      amount,
+      type,
+      reason.join(" ")
+    );
+    console.log(
+      `🛠 Admin ${admin.id} ${type} ${formatNaira(amount)} for user ${user.$id}`
+    );
+    return this.bot.sendMessage(
+      chatId,
+      `✅ ${type === "credit" ? "Credited" : "Debited"} ${formatNaira(
+        amount
+      )} ${type === "credit" ? "to" : "from"} ${user.firstName} (${
+        user.telegramId
+      }).
+New balance: ${formatNaira(wallet.balance)}
+Reference: ${transaction.reference}`
+    );
+  }
+
+  async txn(chatId, admin, [reference]) {
+    if (!reference) return this.bot.sendMessage(chatId, USAGE);
+    const txn = await this.db.findTransactionByReference(reference);
+    await this.db.recordAdminAction(admin, "txn", {
+      userId: txn?.userId,
+      details: { lookup: reference },
+    });
+    if (!txn) {
+      return this.bot.sendMessage(chatId, `❌ No transaction ${reference}`);
+    }
+
+    const details = this.db.parseTransactionDetails(txn);
+    const extra = ["requestId", "transactionId", "reason", "adminTelegramId"]
+      .filter((key) => details[key])
+      .map((key) => `${key}: ${details[key]}`);
+    return this.bot.sendMessage(
+      chatId,
+      `🧾 ${txn.reference}
+Type: ${txn.type}
+Amount: ${formatNaira(txn.amount)}
+Status: ${txn.status}
+User ID: ${txn.userId}
+Created: ${txn.createdAt}
+${extra.join("\n")}`.trim()
+    );
+  }
+
+  async tier(chatId, admin, [identifier, tier]) {
+    if (!USER_TIERS.includes(tier)) return this.bot.sendMessage(chatId, USAGE);
+    const user = await this.resolveUser(chatId, identifier);
+    if (!user) return;
+
+    await this.db.setUserTier(admin, user.$id, tier);
+    console.log(`🛠 Admin ${admin.id} set user ${user.$id} to ${tier}`);
+    return this.bot.sendMessage(
+      chatId,
+      `✅ ${user.firstName} (${user.telegramId}) is now on the ${tier} tier.`
+    );
+  }
+
+  async commission(chatId, admin, [rawDays]) {
+    const days = Math.min(Math.max(parseInt(rawDays, 10) || 7, 1), 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const rows = await this.db.getCommissionReport(since);
+    await this.db.recordAdminAction(admin, "commission", {
+      details: { days },
+    });
+    if (!rows.length) {
+      return this.bot.sendMessage(
+        chatId,
+        `📊 No commission recorded in the last ${days} day(s).`
+      );
+    }
+
+    const lines = [];
+    let date = null;
+    const totals = { commission: 0, cashback: 0 };
+    for (const row of rows) {
+      if (row.date !== date) {
+        date = row.date;
+        lines.push(`\n📅 ${date}`);
+      }
+      lines.push(
+        `• ${row.service}: ${row.count} sales, ${formatNaira(
+          row.sales
+        )} → commission ${formatNaira(row.commission)}, cashback ${formatNaira(
+          row.cashback
+        )}`
+      );
+      totals.commission += row.commission;
+      totals.cashback += row.cashback;
+    }
+    const title = `📊 Commission, last ${days} day(s)`;
+    const summary = `Total commission: ${formatNaira(totals.commission)}
+Cashback paid: ${formatNaira(totals.cashback)}
+Net: ${formatNaira(totals.commission - totals.cashback)}`;
+    const text = `${title}${lines.join("\n")}\n\n${summary}`;
+    if (text.length <= MAX_MESSAGE_LENGTH) {
+      return this.bot.sendMessage(chatId, text);
+    }
+
+    // Too many days × services for one message: the rows go in a CSV
+    const csv = toCsv(
+      ["Date", "Service", "Sales", "Amount", "Commission", "Cashback"],
+      rows.map((row) => [
+        row.date,
+        row.service,
+        row.count,
+        row.sales.toFixed(2),
+        row.commission.toFixed(2),
+        row.cashback.toFixed(2),
+      ])
+    );
+    return this.bot.sendDocument(
+      chatId,
+      Buffer.from(csv, "utf8"),
+      { caption: `${title}\n\n${summary}` },
+      {
+        filename: `commission-${days}d-${new Date()
+          .toISOString()
+          .slice(0, 10)}.csv`,
+        contentType: "text/csv",
+      }
+    );
+  }
+
+  async freeze(chatId, admin, frozen, [identifier, ...reason]) {
+    const user = await this.resolveUser(chatId, identifier);
+    if (!user) return;
+
+    await this.db.setUserFrozen(admin, user.$id, frozen, reason.join(" "));
+    console.log(
+      `🛠 Admin ${admin.id} ${frozen ? "froze" : "unfroze"} user ${user.$id}`
+    );
+    return this.bot.sendMessage(
+      chatId,
+      `${frozen ? "🧊 Frozen" : "✅ Unfrozen"}: ${user.firstName} (${
+        user.telegramId
+      })`
+    );
+  }
+}
+
+export default AdminHandler;
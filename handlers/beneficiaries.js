@@ -0,0 +1,183 @@
+// handlers/beneficiaries.js
+// /beneficiaries (list, rename, delete) and the "Save recipient" button the
+// flow engine shows after a purchase to a new phone, meter or smart card.
+import { clearSession } from "../services/sessions.js";
+
+const MAX_BENEFICIARIES = 20;
+
+const KIND_ICONS = { phone: "📱", meter: "💡", smartcard: "📺" };
+
+const CANCEL_KEYBOARD = {
+  inline_keyboard: [[{ text: "❌ Cancel", callback_data: "cancel_operation" }]],
+};
+
+class BeneficiaryHandler {
+  constructor({ bot, db }) {
+    if (!bot || !db) throw new Error("BeneficiaryHandler requires bot and db");
+    this.bot = bot;
+    this.db = db;
+  }
+
+  async send(ctx, text, keyboard) {
+    const options = keyboard ? { reply_markup: keyboard } : {};
+    if (ctx.messageId) {
+      return this.bot.editMessageText(text, {
+        chat_id: ctx.chatId,
+        message_id: ctx.messageId,
+        ...options,
+      });
+    }
+    return this.bot.sendMessage(ctx.chatId, text, options);
+  }
+
+  async list(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) return this.send(ctx, "❌ Please send /start first.");
+
+    const saved = await this.db.getBeneficiaries(user.$id);
+    if (!saved.length) {
+      return this.send(
+        ctx,
+        "📇 You have no saved recipients yet. After a purchase you'll be offered to save the number, meter or smart card."
+      );
+    }
+    return this.send(ctx, "📇 Your saved recipients — tap one to manage it:", {
+      inline_keyboard: saved.map((beneficiary) => [
+        {
+          text: `${KIND_ICONS[beneficiary.kind] || "⭐"} ${
+            beneficiary.nickname
+          } (${beneficiary.value})`,
+          callback_data: `benef_view_${beneficiary.$id}`,
+        },
+      ]),
+    });
+  }
+
+  // Loads a beneficiary only if it belongs to the user pressing the button
+  async getOwned(ctx, beneficiaryId) {
+    const [user, beneficiary] = await Promise.all([
+      this.db.getUserByTelegramId(ctx.userId),
+      this.db.getBeneficiary(beneficiaryId),
+    ]);
+    if (!user || !beneficiary || beneficiary.userId !== user.$id) return null;
+    return beneficiary;
+  }
+
+  // Returns true when the callback belonged to beneficiaries
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("benef_")) return false;
+
+    if (data === "benef_save") {
+      const offer = ctx.session.beneficiaryOffer;
+      if (!offer) {
+        await this.send(ctx, "⌛ This button has expired.");
+        return true;
+      }
+      clearSession(ctx.session);
+      ctx.session.beneficiary = { stage: "name", pending: offer };
+      await this.bot.sendMessage(
+        ctx.chatId,
+        `⭐ Send a nickname for ${offer.value} (e.g. "Mum MTN" or "Shop meter"):`,
+        { reply_markup: CANCEL_KEYBOARD }
+      );
+      return true;
+    }
+
+    if (data === "benef_list") {
+      await this.list(ctx);
+      return true;
+    }
+
+    const [, action, id] =
+      /^benef_(view|rename|delete|confirmdelete)_(.+)$/.exec(data) || [];
+    const beneficiary = action ? await this.getOwned(ctx, id) : null;
+    if (!beneficiary) {
+      await this.send(ctx, "❌ That recipient no longer exists.");
+      return true;
+    }
+
+    if (action === "view") {
+      await this.send(
+        ctx,
+        `${KIND_ICONS[beneficiary.kind] || "⭐"} ${beneficiary.nickname}\n${
+          beneficiary.value
+        }${beneficiary.provider ? ` (${beneficiary.provider})` : ""}`,
+        {
+          inline_keyboard: [
+            [
+              { text: "✏️ Rename", callback_data: `benef_rename_${id}` },
+              { text: "🗑 Delete", callback_data: `benef_delete_${id}` },
+            ],
+            [{ text: "⬅️ Back", callback_data: "benef_list" }],
+          ],
+        }
+      );
+    } else if (action === "rename") {
+      clearSession(ctx.session);
+      ctx.session.beneficiary = { stage: "name", renameId: id };
+      await this.send(
+        ctx,
+        `✏️ Send a new nickname for ${beneficiary.nickname}:`,
+        CANCEL_KEYBOARD
+      );
+    } else if (action === "delete") {
+      await this.send(ctx, `🗑 Delete ${beneficiary.nickname}?`, {
+        inline_keyboard: [
+          [
+            { text: "Yes, delete", callback_data: `benef_confirmdelete_${id}` },
+            { text: "⬅️ Back", callback_data: `benef_view_${id}` },
+          ],
+        ],
+      });
+    } else {
+      await this.db.deleteBeneficiary(id);
+      await this.send(ctx, `🗑 ${beneficiary.nickname} deleted.`);
+    }
+    return true;
+  }
+
+  // Returns true when the message was a nickname we asked for
+  async handleMessage(ctx, msg) {
+    const state = ctx.session.beneficiary;
+    if (state?.stage !== "name") return false;
+    const nickname = msg.text?.trim();
+    if (!nickname) return false;
+
+    if (nickname.length > 30) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "❌ Keep the nickname under 30 characters. Try again:"
+      );
+      return true;
+    }
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    clearSession(ctx.session);
+
+    if (state.renameId) {
+      const beneficiary = await this.getOwned(ctx, state.renameId);
+      if (beneficiary) {
+        await this.db.updateBeneficiary(beneficiary.$id, { nickname });
+      }
+      await this.bot.sendMessage(ctx.chatId, `✅ Renamed to ${nickname}.`);
+      return true;
+    }
+
+    const saved = await this.db.getBeneficiaries(user.$id);
+    if (saved.length >= MAX_BENEFICIARIES) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        `❌ You can save up to ${MAX_BENEFICIARIES} recipients. Delete one in /beneficiaries first.`
+      );
+      return true;
+    }
+    await this.db.createBeneficiary(user.$id, { ...state.pending, nickname });
+    await this.bot.sendMessage(
+      ctx.chatId,
+      `⭐ Saved ${state.pending.value} as ${nickname}. It will show up as a button next time.`
+    );
+    return true;
+  }
+}
+
+export default BeneficiaryHandler;
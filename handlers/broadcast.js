@@ -0,0 +1,143 @@
+// handlers/broadcast.js
+// Composing a broadcast: /admin broadcast → message text → optional button →
+// preview → Send. The send itself runs in the background and reports back.
+import { isAdmin } from "../config/admin.js";
+import { clearSession } from "../services/sessions.js";
+
+const CANCEL_KEYBOARD = {
+  inline_keyboard: [[{ text: "❌ Cancel", callback_data: "cancel_operation" }]],
+};
+
+class BroadcastHandler {
+  constructor({ bot, db, broadcasts }) {
+    if (!bot || !db || !broadcasts) {
+      throw new Error("BroadcastHandler requires bot, db and broadcasts");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.broadcasts = broadcasts;
+  }
+
+  async start(ctx) {
+    clearSession(ctx.session);
+    ctx.session.broadcast = { stage: "text" };
+    return this.bot.sendMessage(
+      ctx.chatId,
+      "📣 Send the message to broadcast to every user:",
+      { reply_markup: CANCEL_KEYBOARD }
+    );
+  }
+
+  // Returns true when the message belonged to a broadcast being composed
+  async handleMessage(ctx, msg) {
+    const state = ctx.session.broadcast;
+    if (!state || !isAdmin(ctx.userId)) return false;
+    const text = msg.text?.trim();
+    if (!text) return false;
+
+    if (state.stage === "text") {
+      state.text = text;
+      state.stage = "button";
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "🔘 Add a link button? Send it as `Button text | https://link`, or send 'skip'.",
+        { reply_markup: CANCEL_KEYBOARD, parse_mode: "Markdown" }
+      );
+      return true;
+    }
+
+    if (state.stage === "button") {
+      if (text.toLowerCase() !== "skip") {
+        const [label, url] = text.split("|").map((part) => part?.trim());
+        if (!label || !/^https?:\/\/\S+$/.test(url || "")) {
+          await this.bot.sendMessage(
+            ctx.chatId,
+            "❌ Use the format `Button text | https://link`, or send 'skip'.",
+            { parse_mode: "Markdown" }
+          );
+          return true;
+        }
+        state.button = { text: label, url };
+      }
+      state.stage = "preview";
+      await this.preview(ctx);
+      return true;
+    }
+
+    await this.bot.sendMessage(ctx.chatId, "👆 Tap Send or Cancel above.");
+    return true;
+  }
+
+  async preview(ctx) {
+    const { text, button } = ctx.session.broadcast;
+    await this.bot.sendMessage(ctx.chatId, "👀 Preview:");
+    await this.bot.sendMessage(
+      ctx.chatId,
+      text,
+      this.broadcasts.buildOptions(button)
+    );
+    return this.bot.sendMessage(ctx.chatId, "Send this to all users?", {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: "📣 Send", callback_data: "broadcast_send" },
+            { text: "❌ Cancel", callback_data: "cancel_operation" },
+          ],
+        ],
+      },
+    });
+  }
+
+  // Returns true when the callback was a broadcast button
+  async handleCallback(ctx, admin, data) {
+    if (data !== "broadcast_send") return false;
+    const state = ctx.session.broadcast;
+    if (!isAdmin(admin.id) || state?.stage !== "preview") {
+      return true;
+    }
+
+    const { text, button } = state;
+    clearSession(ctx.session);
+    await this.bot.editMessageText("📣 Broadcast started…", {
+      chat_id: ctx.chatId,
+      message_id: ctx.messageId,
+    });
+
+    // Can take a long time on a big user base, so it isn't awaited
+    this.broadcasts
+      .send(admin, { text, button })
+      .then(({ counts }) =>
+        this.bot.sendMessage(
+          ctx.chatId,
+          `✅ Broadcast finished.
+Delivered: ${counts.delivered}
+Blocked: ${counts.blocked}
+Failed: ${counts.failed}
+Skipped (opted out or blocked): ${counts.skipped}`
+        )
+      )
+      .catch((error) =>
+        this.bot.sendMessage(
+          ctx.chatId,
+          `❌ Broadcast stopped: ${error.message}`
+        )
+      );
+    return true;
+  }
+
+  async setOptOut(ctx, optOut) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+    await this.db.updateUser(user.$id, { broadcastOptOut: optOut });
+    return this.bot.sendMessage(
+      ctx.chatId,
+      optOut
+        ? "🔕 You won't receive announcements any more. Send /subscribe to turn them back on."
+        : "🔔 You'll receive announcements again. Send /unsubscribe to stop them."
+    );
+  }
+}
+
+export default BroadcastHandler;
@@ -0,0 +1,323 @@
+// handlers/bulk.js
+// /bulk: upload a CSV or text file → summary of valid and invalid rows →
+// Confirm → transaction PIN → rows bought in the background, then a report
+// document comes back with the outcome of every row.
+//
+// A prepared job (up to maxRows priced rows) stays in memory rather than in
+// the session, which is saved on every update; session.bulk only holds its
+// jobId. Jobs are dropped after JOB_TTL, like an idle session.
+import { randomBytes } from "crypto";
+import { clearSession } from "../services/sessions.js";
+
+// Plenty for the row limit, and keeps a stray big upload out of memory
+const MAX_FILE_SIZE = 100 * 1024;
+const SHOWN_INVALID_ROWS = 10;
+const PROGRESS_EVERY = 10;
+const JOB_TTL = 30 * 60 * 1000;
+
+const EXPIRED_MESSAGE =
+  "⌛ That upload has expired. Send /bulk to start again.";
+
+const CANCEL_KEYBOARD = {
+  inline_keyboard: [[{ text: "❌ Cancel", callback_data: "cancel_operation" }]],
+};
+
+const FORMAT_HELP = `📦 Bulk airtime and data
+
+Send a CSV or .txt file with one purchase per line:
+phone, network, amount or plan
+
+08031234567,MTN,500
+08051234567,Glo,glo100
+07031234567,,1000
+
+• A number buys that much airtime, otherwise it's a data plan code or name
+• Leave the network blank to detect it from the number
+• A header row is optional`;
+
+class BulkHandler {
+  constructor({ bot, db, bulk, pins }) {
+    if (!bot || !db || !bulk) {
+      throw new Error("BulkHandler requires bot, db and bulk");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.bulk = bulk;
+    this.pins = pins;
+    this.jobs = new Map();
+  }
+
+  saveJob(job) {
+    const now = Date.now();
+    for (const [jobId, saved] of this.jobs) {
+      if (now - saved.createdAt > JOB_TTL) this.jobs.delete(jobId);
+    }
+    const jobId = randomBytes(8).toString("hex");
+    this.jobs.set(jobId, { ...job, createdAt: now });
+    return jobId;
+  }
+
+  getJob(state) {
+    const job = this.jobs.get(state?.jobId);
+    return job && Date.now() - job.createdAt <= JOB_TTL ? job : null;
+  }
+
+  async start(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+    clearSession(ctx.session);
+    ctx.session.bulk = { stage: "upload" };
+    return this.bot.sendMessage(
+      ctx.chatId,
+      `${FORMAT_HELP}\n\nMax ${this.bulk.maxRows} rows per file.`,
+      { reply_markup: CANCEL_KEYBOARD }
+    );
+  }
+
+  // Returns true when the message belonged to a bulk upload in progress
+  async handleMessage(ctx, msg) {
+    const state = ctx.session.bulk;
+    if (!state) return false;
+
+    if (state.stage === "upload") {
+      if (!msg.document) {
+        await this.bot.sendMessage(
+          ctx.chatId,
+          "📎 Send the list as a CSV or .txt file, or tap Cancel."
+        );
+        return true;
+      }
+      await this.upload(ctx, msg.document);
+      return true;
+    }
+
+    const text = msg.text?.trim();
+    if (state.stage === "pin" && text) {
+      await this.checkPin(ctx, msg);
+      return true;
+    }
+    if (state.stage === "confirm" && text?.toLowerCase() === "yes") {
+      await this.authorise(ctx);
+      return true;
+    }
+    await this.bot.sendMessage(ctx.chatId, "👆 Tap Confirm or Cancel above.");
+    return true;
+  }
+
+  async upload(ctx, document) {
+    if (!/\.(csv|txt)$/i.test(document.file_name || "")) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "❌ Only .csv and .txt files are supported."
+      );
+    }
+    if (document.file_size > MAX_FILE_SIZE) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        `❌ That file is too big (max ${MAX_FILE_SIZE / 1024}KB).`
+      );
+    }
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    await this.bot.sendMessage(ctx.chatId, "🔎 Checking your file…");
+    let job;
+    try {
+      job = await this.bulk.prepare(user, await this.download(document));
+    } catch (error) {
+      console.error("Bulk upload Error:", error);
+      return this.bot.sendMessage(
+        ctx.chatId,
+        `❌ ${error.message}. Fix the file and send it again.`
+      );
+    }
+
+    ctx.session.bulk = { stage: "confirm", jobId: this.saveJob(job) };
+    return this.bot.sendMessage(ctx.chatId, this.summarise(job), {
+      reply_markup: {
+        inline_keyboard: [
+          ...(job.rows.length
+            ? [[{ text: "✅ Confirm", callback_data: "bulk_confirm" }]]
+            : []),
+          [{ text: "❌ Cancel", callback_data: "cancel_operation" }],
+        ],
+      },
+    });
+  }
+
+  async download(document) {
+    const chunks = [];
+    for await (const chunk of this.bot.getFileStream(document.file_id)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  summarise({ rows, invalid, total }) {
+    const airtime = rows.filter((row) => row.type === "airtime").length;
+    const lines = [
+      "📦 Bulk purchase summary",
+      `✅ Valid rows: ${rows.length} (${airtime} airtime, ${
+        rows.length - airtime
+      } data)`,
+    ];
+    if (invalid.length) {
+      lines.push(`⚠️ Invalid rows (skipped): ${invalid.length}`);
+      for (const row of invalid.slice(0, SHOWN_INVALID_ROWS)) {
+        lines.push(`  Row ${row.line}: ${row.error}`);
+      }
+      if (invalid.length > SHOWN_INVALID_ROWS) {
+        lines.push(`  …and ${invalid.length - SHOWN_INVALID_ROWS} more`);
+      }
+    }
+    if (!rows.length) {
+      lines.push("", "❌ Nothing to buy. Fix the file and send it again.");
+      return lines.join("\n");
+    }
+    lines.push(
+      "",
+      `💰 Total: ₦${total.toFixed(2)}`,
+      "",
+      "Send 'yes' or tap ✅ Confirm to continue"
+    );
+    return lines.join("\n");
+  }
+
+  // Returns true when the callback was the bulk Confirm button
+  async handleCallback(ctx, data) {
+    if (data !== "bulk_confirm") return false;
+    if (ctx.session.bulk?.stage === "confirm") await this.authorise(ctx);
+    return true;
+  }
+
+  // Same checks as a single purchase: not frozen, enough balance, PIN
+  async authorise(ctx) {
+    const state = ctx.session.bulk;
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    const fail = (text) => {
+      clearSession(ctx.session);
+      return this.bot.sendMessage(ctx.chatId, text);
+    };
+
+    const job = this.getJob(state);
+    if (!job) return fail(EXPIRED_MESSAGE);
+
+    if (user?.frozen) {
+      return fail("🧊 Your account has been frozen. Please contact support.");
+    }
+    const wallet = user ? await this.db.getUserWallet(user.$id) : null;
+    if (!wallet || wallet.balance < job.total) {
+      return fail(
+        `❌ Insufficient balance. The batch costs ₦${job.total.toFixed(
+          2
+        )}, please fund your wallet.`
+      );
+    }
+    if (!this.pins) return this.run(ctx, user);
+
+    if (!this.pins.hasPin(user)) {
+      return fail(
+        "🔐 You need a transaction PIN before you can make purchases. Send /setpin to create one, then try again."
+      );
+    }
+    const lockedUntil = this.pins.getLockedUntil(user);
+    if (lockedUntil) return fail(this.pins.formatLockMessage(lockedUntil));
+
+    state.stage = "pin";
+    return this.bot.sendMessage(
+      ctx.chatId,
+      `🔐 Enter your transaction PIN to pay ₦${job.total.toFixed(2)}:`,
+      { reply_markup: CANCEL_KEYBOARD }
+    );
+  }
+
+  async checkPin(ctx, msg) {
+    try {
+      await this.bot.deleteMessage(ctx.chatId, msg.message_id);
+    } catch (error) {
+      console.warn("Could not delete PIN message:", error.message);
+    }
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    const check = await this.pins.verifyPin(user, msg.text.trim());
+    if (check.ok) return this.run(ctx, user);
+    if (check.lockedUntil) {
+      clearSession(ctx.session);
+      return this.bot.sendMessage(
+        ctx.chatId,
+        this.pins.formatLockMessage(check.lockedUntil)
+      );
+    }
+    return this.bot.sendMessage(
+      ctx.chatId,
+      `❌ Wrong PIN. ${check.attemptsLeft} attempt(s) left. Try again:`
+    );
+  }
+
+  async run(ctx, user) {
+    const { jobId } = ctx.session.bulk;
+    const job = this.getJob(ctx.session.bulk);
+    clearSession(ctx.session);
+    if (!job) return this.bot.sendMessage(ctx.chatId, EXPIRED_MESSAGE);
+    // Taken out first, so a second Confirm finds nothing to run
+    this.jobs.delete(jobId);
+    const { rows, invalid } = job;
+    const status = await this.bot.sendMessage(
+      ctx.chatId,
+      `⏳ Processing ${rows.length} purchases…`
+    );
+    const onProgress = async (done, total) => {
+      if (done % PROGRESS_EVERY || done === total) return;
+      await this.bot
+        .editMessageText(`⏳ Processed ${done} of ${total} purchases…`, {
+          chat_id: ctx.chatId,
+          message_id: status.message_id,
+        })
+        .catch(() => {});
+    };
+
+    // Can take minutes on a big file, so it isn't awaited
+    this.bulk
+      .run(user, rows, { onProgress })
+      .then((outcomes) => this.report(ctx, outcomes, invalid))
+      .catch((error) => {
+        console.error("Bulk run Error:", error);
+        return this.bot.sendMessage(
+          ctx.chatId,
+          `❌ Bulk purchase stopped: ${error.message}. Check 📜 Transaction History for what went through.`
+        );
+      });
+  }
+
+  async report(ctx, outcomes, invalid) {
+    const count = (status) =>
+      outcomes.filter((outcome) => outcome.status === status).length;
+    const spent = outcomes
+      .filter((outcome) => outcome.status !== "failed")
+      .reduce((sum, outcome) => sum + outcome.quote.sellingPrice, 0);
+    const refunded = outcomes.reduce((sum, outcome) => sum + outcome.refund, 0);
+
+    const caption = [
+      "📦 Bulk purchase finished",
+      `✅ Delivered: ${count("success")}`,
+      `⏳ Pending: ${count("pending")}`,
+      `❌ Failed: ${count("failed")}`,
+      ...(invalid.length ? [`⚠️ Skipped: ${invalid.length}`] : []),
+      `💰 Charged: ₦${spent.toFixed(2)}`,
+      ...(refunded ? [`💸 Refunded: ₦${refunded.toFixed(2)}`] : []),
+    ].join("\n");
+
+    return this.bot.sendDocument(
+      ctx.chatId,
+      Buffer.from(this.bulk.buildReport(outcomes, invalid), "utf8"),
+      { caption },
+      {
+        filename: `bulk-report-${new Date().toISOString().slice(0, 10)}.csv`,
+        contentType: "text/csv",
+      }
+    );
+  }
+}
+
+export default BulkHandler;
@@ -0,0 +1,65 @@
+// handlers/cashback.js
+// /cashback shows the balance earned from purchase commissions, with a
+// button that moves it into the main wallet.
+class CashbackHandler {
+  constructor({ bot, db, cashback }) {
+    if (!bot || !db || !cashback) {
+      throw new Error("CashbackHandler requires bot, db and cashback");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.cashback = cashback;
+  }
+
+  async show(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+
+    const balance = await this.cashback.getBalance(user.$id);
+    const text = `🎁 Cashback balance: ₦${balance.toFixed(
+      2
+    )}\n\nYou earn cashback on every successful purchase.`;
+    return this.bot.sendMessage(ctx.chatId, text, {
+      reply_markup:
+        balance > 0
+          ? {
+              inline_keyboard: [
+                [
+                  {
+                    text: "💼 Move to wallet",
+                    callback_data: "cashback_redeem",
+                  },
+                ],
+              ],
+            }
+          : undefined,
+    });
+  }
+
+  // Returns true when the callback was the redeem button
+  async handleCallback(ctx, data) {
+    if (data !== "cashback_redeem") return false;
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (user?.frozen) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "🧊 Your account has been frozen. Please contact support."
+      );
+      return true;
+    }
+
+    const redeemed = user ? await this.cashback.redeem(user) : null;
+    await this.bot.editMessageText(
+      redeemed
+        ? `✅ ₦${redeemed.amount.toFixed(2)} cashback moved to your wallet.`
+        : "🎁 You have no cashback to move yet.",
+      { chat_id: ctx.chatId, message_id: ctx.messageId }
+    );
+    return true;
+  }
+}
+
+export default CashbackHandler;
@@ -0,0 +1,98 @@
+// handlers/exampins.js
+// /exampins lists recent exam PIN purchases so their PINs can be shown again.
+// PINs missing from the transaction are fetched with a VTPass requery and
+// stored for next time.
+import { getEducationPins } from "../services/vtpass.js";
+import { formatPins } from "../flows/education.js";
+
+class ExamPinHandler {
+  constructor({ bot, db, vtpass }) {
+    if (!bot || !db || !vtpass) {
+      throw new Error("ExamPinHandler requires bot, db and vtpass");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.vtpass = vtpass;
+  }
+
+  async list(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+
+    const purchases = await this.db.getUserTransactions(user.$id, 10, {
+      type: "education",
+      status: "success",
+    });
+    if (!purchases.length) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "🎓 You have no exam PIN purchases yet."
+      );
+    }
+    return this.bot.sendMessage(
+      ctx.chatId,
+      "🎓 Recent exam PIN purchases — tap one to see its PINs:",
+      {
+        reply_markup: {
+          inline_keyboard: purchases.map((purchase) => {
+            const details = this.db.parseTransactionDetails(purchase);
+            return [
+              {
+                text: `🔑 ${details.service} ×${details.quantity || 1} · ${
+                  purchase.createdAt.split("T")[0]
+                }`,
+                callback_data: `exampin_${purchase.$id}`,
+              },
+            ];
+          }),
+        },
+      }
+    );
+  }
+
+  // Returns true when the callback was a PIN button
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("exampin_")) return false;
+
+    const [user, purchase] = await Promise.all([
+      this.db.getUserByTelegramId(ctx.userId),
+      this.db.getTransaction(data.replace("exampin_", "")),
+    ]);
+    if (
+      !user ||
+      purchase?.userId !== user.$id ||
+      purchase.type !== "education" ||
+      purchase.status !== "success"
+    ) {
+      await this.bot.sendMessage(ctx.chatId, "❌ Purchase not found.");
+      return true;
+    }
+
+    const details = this.db.parseTransactionDetails(purchase);
+    let pins = details.pins || [];
+    if (!pins.length && details.requestId) {
+      pins = getEducationPins(
+        await this.vtpass.requeryTransaction(details.requestId)
+      );
+      if (pins.length) {
+        await this.db.updateTransaction(purchase.$id, {
+          details: JSON.stringify({ ...details, pins }),
+        });
+      }
+    }
+
+    await this.bot.sendMessage(
+      ctx.chatId,
+      pins.length
+        ? `🎓 ${details.service} (${details.plan})${formatPins(pins)}\nRef: ${
+            purchase.reference
+          }`
+        : `⏳ The ${details.service} PIN hasn't been issued yet. Please try again later or contact support with Ref: ${purchase.reference}`
+    );
+    return true;
+  }
+}
+
+export default ExamPinHandler;
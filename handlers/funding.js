@@ -0,0 +1,136 @@
+// handlers/funding.js
+// "💰 Fund Wallet" shows the user's Paystack Dedicated Virtual Account, a
+// bank account number that's theirs to transfer into from any bank app.
+// The first tap creates the Paystack customer and assigns the account;
+// Paystack wants a phone number for that, so users without a verified one
+// are asked to share it. Card payments via /fund <amount> still work.
+import { clearSession } from "../services/sessions.js";
+import { MAIN_MENU_KEYBOARD } from "../config/menu.js";
+
+const CARD_HINT = "💳 Prefer a card? Use /fund <amount> (e.g., /fund 500)";
+
+class FundingHandler {
+  constructor({ bot, db, paystack }) {
+    if (!bot || !db || !paystack) {
+      throw new Error("FundingHandler requires bot, db and paystack");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.paystack = paystack;
+  }
+
+  async showAccount(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+    if (user.frozen) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "🧊 Your account has been frozen. Please contact support."
+      );
+    }
+    if (user.dvaAccountNumber) return this.sendAccount(ctx, user);
+
+    if (!user.verifiedPhone) {
+      ctx.session.funding = { stage: "contact" };
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "🏦 To get your own account number for bank transfers, share the phone number linked to this Telegram account:",
+        {
+          reply_markup: {
+            keyboard: [
+              [{ text: "📱 Share my number", request_contact: true }],
+              ["❌ Cancel"],
+            ],
+            resize_keyboard: true,
+            one_time_keyboard: true,
+          },
+        }
+      );
+    }
+    return this.assign(ctx, user);
+  }
+
+  // Returns true when the message was the shared contact we asked for
+  async handleMessage(ctx, msg) {
+    if (ctx.session.funding?.stage !== "contact") return false;
+
+    if (!msg.contact) {
+      if (/cancel/i.test(msg.text || "")) {
+        clearSession(ctx.session);
+        await this.bot.sendMessage(ctx.chatId, "❌ Cancelled.", {
+          reply_markup: MAIN_MENU_KEYBOARD,
+        });
+        return true;
+      }
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "📱 Please tap 'Share my number' below, or send cancel."
+      );
+      return true;
+    }
+
+    if (String(msg.contact.user_id) !== String(ctx.userId)) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "❌ That isn't your own number. Please use the 'Share my number' button."
+      );
+      return true;
+    }
+
+    clearSession(ctx.session);
+    const phone = String(msg.contact.phone_number).replace(/\D/g, "");
+    const { $id } = await this.db.getUserByTelegramId(ctx.userId);
+    const user = await this.db.updateUser($id, { verifiedPhone: phone });
+    await this.bot.sendMessage(ctx.chatId, "✅ Number verified.", {
+      reply_markup: MAIN_MENU_KEYBOARD,
+    });
+    await this.assign(ctx, user);
+    return true;
+  }
+
+  async assign(ctx, user) {
+    try {
+      let customerCode = user.paystackCustomerCode;
+      if (!customerCode) {
+        const customer = await this.paystack.createCustomer({
+          email: user.email || `${user.telegramId}@example.com`,
+          firstName: user.firstName,
+          lastName: user.lastName || user.firstName,
+          phone: `+${user.verifiedPhone}`,
+        });
+        customerCode = customer.customer_code;
+        // Saved straight away so the webhook can match transfers even if
+        // the account step below has to be retried
+        user = await this.db.updateUser(user.$id, {
+          paystackCustomerCode: customerCode,
+        });
+      }
+
+      const account = await this.paystack.createDedicatedAccount(customerCode);
+      user = await this.db.updateUser(user.$id, {
+        dvaAccountNumber: account.account_number,
+        dvaAccountName: account.account_name,
+        dvaBankName: account.bank.name,
+      });
+      console.log(`🏦 Dedicated account assigned to user ${user.$id}`);
+      return this.sendAccount(ctx, user);
+    } catch (error) {
+      console.error("Dedicated Account Error:", error);
+      return this.bot.sendMessage(
+        ctx.chatId,
+        `❌ We couldn't set up your transfer account right now. Please try again later.\n\n${CARD_HINT}`
+      );
+    }
+  }
+
+  sendAccount(ctx, user) {
+    return this.bot.sendMessage(
+      ctx.chatId,
+      `🏦 Fund by bank transfer\n\nBank: ${user.dvaBankName}\nAccount number: ${user.dvaAccountNumber}\nAccount name: ${user.dvaAccountName}\n\nTransfer any amount from your bank app and your wallet is credited automatically, usually within minutes. The account is yours, so save it in your bank app.\n\n${CARD_HINT}`
+    );
+  }
+}
+
+export default FundingHandler;
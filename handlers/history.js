@@ -0,0 +1,293 @@
+// handlers/history.js
+// "📜 Transaction History": pages through the user's transactions with
+// inline buttons, filtered by type, status and date range. Tapping an entry
+// opens its details. Filters and the page cursors live in session.history.
+import { PRODUCT_LABELS } from "../config/products.js";
+import { formatLagos, lagosTime, lagosToday } from "../flows/schedule.js";
+import { formatToken } from "../flows/electricity.js";
+import { formatPins } from "../flows/education.js";
+import { receiptButton, isReceiptable } from "../services/receipt.js";
+
+const PAGE_SIZE = 8;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Filter value -> transaction types. "credit" is every kind of money in.
+const TYPE_FILTERS = {
+  all: { label: "All types", types: [] },
+  airtime: { label: "Airtime", types: ["airtime"] },
+  data: { label: "Data", types: ["data"] },
+  electricity: { label: "Electricity", types: ["electricity"] },
+  tv: { label: "TV", types: ["tv"] },
+  education: { label: "Exam PINs", types: ["education"] },
+  credit: {
+    label: "Wallet credits",
+    types: [
+      "credit",
+      "refund",
+      "referral_bonus",
+      "cashback_redeem",
+      "admin_credit",
+    ],
+  },
+};
+
+const STATUS_FILTERS = {
+  all: "All statuses",
+  success: "Successful",
+  pending: "Pending",
+  failed: "Failed",
+};
+
+const daysAgo = (days) => ({
+  from: new Date(Date.now() - days * DAY).toISOString(),
+});
+
+function monthStart(offset = 0) {
+  const [year, month] = lagosToday().split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + offset, 1));
+  return lagosTime(date.toISOString().slice(0, 10), 0).toISOString();
+}
+
+// Range value -> { label, bounds() } in Lagos time
+const RANGE_FILTERS = {
+  all: { label: "All time", bounds: () => ({}) },
+  today: {
+    label: "Today",
+    bounds: () => ({ from: lagosTime(lagosToday(), 0).toISOString() }),
+  },
+  week: { label: "Last 7 days", bounds: () => daysAgo(7) },
+  month: { label: "This month", bounds: () => ({ from: monthStart() }) },
+  lastmonth: {
+    label: "Last month",
+    bounds: () => ({ from: monthStart(-1), to: monthStart() }),
+  },
+  quarter: { label: "Last 90 days", bounds: () => daysAgo(90) },
+};
+
+const TYPE_ICONS = {
+  airtime: "💳",
+  data: "📱",
+  electricity: "💡",
+  tv: "📺",
+  education: "🎓",
+};
+const STATUS_ICONS = { success: "✅", pending: "⏳", failed: "❌" };
+
+const FILTERS = {
+  type: { options: TYPE_FILTERS, label: (value) => value.label },
+  status: { options: STATUS_FILTERS, label: (value) => value },
+  range: { options: RANGE_FILTERS, label: (value) => value.label },
+};
+
+const defaultState = () => ({
+  type: "all",
+  status: "all",
+  range: "all",
+  pages: [],
+});
+
+class HistoryHandler {
+  constructor({ bot, db }) {
+    if (!bot || !db) throw new Error("HistoryHandler requires bot and db");
+    this.bot = bot;
+    this.db = db;
+  }
+
+  async send(ctx, text, keyboard) {
+    const options = keyboard ? { reply_markup: keyboard } : {};
+    if (ctx.messageId) {
+      return this.bot.editMessageText(text, {
+        chat_id: ctx.chatId,
+        message_id: ctx.messageId,
+        ...options,
+      });
+    }
+    return this.bot.sendMessage(ctx.chatId, text, options);
+  }
+
+  getState(session) {
+    session.history ??= defaultState();
+    return session.history;
+  }
+
+  // The first page with the filters reset
+  async list(ctx) {
+    ctx.session.history = defaultState();
+    return this.showPage(ctx);
+  }
+
+  // state.pages holds the cursor each visited page started after, so Prev
+  // can go back without offsets
+  async showPage(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) return this.send(ctx, "❌ Please send /start first.");
+
+    const state = this.getState(ctx.session);
+    const cursor = state.pages[state.pages.length - 1] || null;
+    const { transactions, hasMore } = await this.db.listUserTransactions(
+      user.$id,
+      {
+        types: TYPE_FILTERS[state.type].types,
+        status: state.status === "all" ? null : state.status,
+        ...RANGE_FILTERS[state.range].bounds(),
+        cursor,
+        limit: PAGE_SIZE,
+      }
+    );
+
+    const filtered =
+      state.type !== "all" || state.status !== "all" || state.range !== "all";
+    const header = [
+      `📜 Transactions · page ${state.pages.length + 1}`,
+      filtered
+        ? `🔎 ${[
+            TYPE_FILTERS[state.type].label,
+            STATUS_FILTERS[state.status],
+            RANGE_FILTERS[state.range].label,
+          ].join(" · ")}`
+        : "",
+      transactions.length
+        ? "Tap one for details."
+        : filtered
+        ? "📭 No transactions match these filters."
+        : "📭 No transactions found.",
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    const nav = [];
+    if (state.pages.length) {
+      nav.push({ text: "⬅️ Newer", callback_data: "hist_prev" });
+    }
+    if (hasMore) {
+      state.next = transactions[transactions.length - 1].$id;
+      nav.push({ text: "Older ➡️", callback_data: "hist_next" });
+    }
+
+    return this.send(ctx, header, {
+      inline_keyboard: [
+        ...transactions.map((transaction) => [
+          {
+            text: this.describe(transaction),
+            callback_data: `hist_view_${transaction.$id}`,
+          },
+        ]),
+        ...(nav.length ? [nav] : []),
+        [
+          { text: "🔎 Type", callback_data: "hist_filter_type" },
+          { text: "🔎 Status", callback_data: "hist_filter_status" },
+          { text: "📅 Dates", callback_data: "hist_filter_range" },
+        ],
+      ],
+    });
+  }
+
+  describe(transaction) {
+    const icon =
+      TYPE_ICONS[transaction.type] ||
+      (TYPE_FILTERS.credit.types.includes(transaction.type) ? "💰" : "•");
+    const status = STATUS_ICONS[transaction.status] || "";
+    const type = transaction.type.replace(/_/g, " ");
+    const date = transaction.createdAt.split("T")[0];
+    return `${status} ${icon} ${type} ₦${transaction.amount.toFixed(
+      2
+    )} · ${date}`;
+  }
+
+  async showFilter(ctx, name) {
+    const { options, label } = FILTERS[name];
+    const current = this.getState(ctx.session)[name];
+    return this.send(ctx, "🔎 Show only:", {
+      inline_keyboard: [
+        ...Object.entries(options).map(([value, option]) => [
+          {
+            text: `${value === current ? "• " : ""}${label(option)}`,
+            callback_data: `hist_set_${name}_${value}`,
+          },
+        ]),
+        [{ text: "⬅️ Back", callback_data: "hist_page" }],
+      ],
+    });
+  }
+
+  async showDetail(ctx, transactionId) {
+    const [user, transaction] = await Promise.all([
+      this.db.getUserByTelegramId(ctx.userId),
+      this.db.getTransaction(transactionId),
+    ]);
+    const back = [{ text: "⬅️ Back", callback_data: "hist_page" }];
+    if (!user || transaction?.userId !== user.$id) {
+      return this.send(ctx, "❌ Transaction not found.", {
+        inline_keyboard: [back],
+      });
+    }
+
+    const details = this.db.parseTransactionDetails(transaction);
+    const recipient =
+      details.phone || details.meter || details.card || details.profileId;
+    const provider = details.network || details.provider || details.service;
+    const reason =
+      transaction.status === "failed" &&
+      (details.error || details.response_description);
+    const lines = [
+      `${STATUS_ICONS[transaction.status] || ""} ${
+        PRODUCT_LABELS[transaction.type] || transaction.type
+      }`,
+      `💰 Amount: ₦${transaction.amount.toFixed(2)}`,
+      `📌 Status: ${transaction.status}`,
+      `🕒 ${formatLagos(transaction.createdAt)}`,
+      `🧾 Ref: ${transaction.reference}`,
+      recipient && `👤 Recipient: ${recipient}`,
+      provider && `🏢 Provider: ${provider}`,
+      details.plan && `📦 Plan: ${details.plan}`,
+      details.quantity > 1 && `🔢 Quantity: ${details.quantity}`,
+      details.transactionId && `🆔 Provider ID: ${details.transactionId}`,
+      reason && `⚠️ Reason: ${reason}`,
+    ].filter(Boolean);
+
+    return this.send(
+      ctx,
+      lines.join("\n") + formatToken(details) + formatPins(details.pins),
+      {
+        inline_keyboard: [
+          ...(isReceiptable(transaction)
+            ? [[receiptButton(transaction.$id)]]
+            : []),
+          back,
+        ],
+      }
+    );
+  }
+
+  // Returns true when the callback belonged to the history view
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("hist_")) return false;
+    const state = this.getState(ctx.session);
+
+    if (data.startsWith("hist_view_")) {
+      await this.showDetail(ctx, data.replace("hist_view_", ""));
+      return true;
+    }
+    if (data.startsWith("hist_filter_")) {
+      const name = data.replace("hist_filter_", "");
+      if (FILTERS[name]) await this.showFilter(ctx, name);
+      return true;
+    }
+
+    const [, name, value] =
+      /^hist_set_(type|status|range)_(\w+)$/.exec(data) || [];
+    if (name && FILTERS[name].options[value]) {
+      state[name] = value;
+      state.pages = [];
+    } else if (data === "hist_next" && state.next) {
+      state.pages.push(state.next);
+    } else if (data === "hist_prev") {
+      state.pages.pop();
+    }
+    delete state.next;
+    await this.showPage(ctx);
+    return true;
+  }
+}
+
+export default HistoryHandler;
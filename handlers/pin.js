@@ -0,0 +1,298 @@
+// handlers/pin.js
+// /setpin, /changepin and /resetpin conversations. PIN messages are deleted
+// from the chat as soon as they've been read, and only a hash of the first
+// entry is kept in the session while waiting for the confirmation. /setpin
+// saves the user's own number first; /resetpin texts a one-time code to it.
+import { clearSession } from "../services/sessions.js";
+import { MAIN_MENU_KEYBOARD } from "../config/menu.js";
+
+const CANCEL_KEYBOARD = {
+  inline_keyboard: [[{ text: "❌ Cancel", callback_data: "cancel_operation" }]],
+};
+
+class PinHandler {
+  constructor({ bot, db, pins }) {
+    if (!bot || !db || !pins) {
+      throw new Error("PinHandler requires bot, db and pins");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.pins = pins;
+  }
+
+  isActive(session) {
+    return Boolean(session.pinSetup);
+  }
+
+  // mode: "set" | "change" | "reset"
+  async start(ctx, mode) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+
+    if (mode === "set" && this.pins.hasPin(user)) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "🔐 You already have a transaction PIN. Use /changepin to change it or /resetpin if you've forgotten it."
+      );
+    }
+    if (mode !== "set" && !this.pins.hasPin(user)) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "🔐 You don't have a transaction PIN yet. Use /setpin to create one."
+      );
+    }
+
+    clearSession(ctx.session);
+
+    if (mode === "change") {
+      const lockedUntil = this.pins.getLockedUntil(user);
+      if (lockedUntil) {
+        return this.bot.sendMessage(
+          ctx.chatId,
+          this.pins.formatLockMessage(lockedUntil)
+        );
+      }
+      ctx.session.pinSetup = { mode, stage: "current" };
+      return this.bot.sendMessage(ctx.chatId, "🔐 Enter your current PIN:", {
+        reply_markup: CANCEL_KEYBOARD,
+      });
+    }
+
+    if (mode === "reset") {
+      // A reset doesn't lift the lock, so there's no point starting one
+      const lockedUntil = this.pins.getLockedUntil(user);
+      if (lockedUntil) {
+        return this.bot.sendMessage(
+          ctx.chatId,
+          `${this.pins.formatLockMessage(
+            lockedUntil
+          )} Try /resetpin again after that.`
+        );
+      }
+      if (!this.pins.canReset(user)) {
+        return this.bot.sendMessage(
+          ctx.chatId,
+          "❌ We can't verify a reset for this account by SMS. Please contact support to reset your PIN."
+        );
+      }
+      return this.sendResetCode(ctx, user);
+    }
+
+    // The number is captured once, when the first PIN is set, so a later
+    // reset can be confirmed by SMS to it
+    if (!user.verifiedPhone) {
+      ctx.session.pinSetup = { mode, stage: "contact" };
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "📱 First, share the phone number linked to this Telegram account. If you ever forget your PIN, we'll text a reset code to it:",
+        {
+          reply_markup: {
+            keyboard: [[{ text: "📱 Share my number", request_contact: true }]],
+            resize_keyboard: true,
+            one_time_keyboard: true,
+          },
+        }
+      );
+    }
+
+    ctx.session.pinSetup = { mode, stage: "new" };
+    return this.bot.sendMessage(
+      ctx.chatId,
+      "🔐 Choose a 4–6 digit transaction PIN. You'll need it to approve every purchase:",
+      { reply_markup: CANCEL_KEYBOARD }
+    );
+  }
+
+  // Returns true when the message belonged to a PIN conversation
+  async handleMessage(ctx, msg) {
+    const state = ctx.session.pinSetup;
+    if (!state) return false;
+
+    if (state.stage === "contact") {
+      await this.handleContact(ctx, msg);
+      return true;
+    }
+
+    const pin = msg.text?.trim();
+    if (!pin) return false;
+    await this.deleteMessage(ctx.chatId, msg.message_id);
+
+    if (pin.toLowerCase() === "cancel") {
+      clearSession(ctx.session);
+      await this.bot.sendMessage(ctx.chatId, "❌ PIN setup cancelled.");
+      return true;
+    }
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+
+    if (state.stage === "code") {
+      await this.handleResetCode(ctx, user, pin);
+      return true;
+    }
+
+    if (state.stage === "current") {
+      const check = await this.pins.verifyPin(user, pin);
+      if (check.lockedUntil) {
+        clearSession(ctx.session);
+        await this.bot.sendMessage(
+          ctx.chatId,
+          this.pins.formatLockMessage(check.lockedUntil)
+        );
+        return true;
+      }
+      if (!check.ok) {
+        await this.bot.sendMessage(
+          ctx.chatId,
+          `❌ Wrong PIN. ${check.attemptsLeft} attempt(s) left. Try again:`
+        );
+        return true;
+      }
+      state.stage = "new";
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "🔐 Enter your new 4–6 digit PIN:",
+        {
+          reply_markup: CANCEL_KEYBOARD,
+        }
+      );
+      return true;
+    }
+
+    if (state.stage === "new") {
+      if (!this.pins.isValidFormat(pin)) {
+        await this.bot.sendMessage(
+          ctx.chatId,
+          "❌ Your PIN must be 4 to 6 digits. Try again:"
+        );
+        return true;
+      }
+      state.pendingHash = await this.pins.hash(pin);
+      state.stage = "confirm";
+      await this.bot.sendMessage(ctx.chatId, "🔁 Enter the same PIN again:", {
+        reply_markup: CANCEL_KEYBOARD,
+      });
+      return true;
+    }
+
+    if (state.stage === "confirm") {
+      if (!(await this.pins.matches(pin, state.pendingHash))) {
+        state.stage = "new";
+        delete state.pendingHash;
+        await this.bot.sendMessage(
+          ctx.chatId,
+          "❌ The PINs didn't match. Enter your new PIN again:"
+        );
+        return true;
+      }
+
+      await this.pins.setPin(user, pin);
+      const verb = state.mode === "set" ? "set" : "updated";
+      clearSession(ctx.session);
+      await this.bot.sendMessage(
+        ctx.chatId,
+        `✅ Your transaction PIN has been ${verb}. Keep it secret — nobody from support will ever ask for it.`,
+        { reply_markup: MAIN_MENU_KEYBOARD }
+      );
+      return true;
+    }
+
+    return false;
+  }
+
+  // Telegram only lets a user share a contact with their own user_id through
+  // the request_contact button, so a match gives the account's own number.
+  // That proves nothing on its own (whoever holds the session can share it);
+  // it's where reset codes get texted later.
+  async handleContact(ctx, msg) {
+    const contact = msg.contact;
+    if (!contact) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "📱 Please tap 'Share my number' below, or send /cancel."
+      );
+      return;
+    }
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    const phone = String(contact.phone_number).replace(/\D/g, "");
+
+    if (String(contact.user_id) !== String(ctx.userId)) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "❌ That isn't your own number. Please use the 'Share my number' button."
+      );
+      return;
+    }
+
+    if (!user.verifiedPhone) {
+      await this.db.updateUser(user.$id, { verifiedPhone: phone });
+    }
+    ctx.session.pinSetup.stage = "new";
+    await this.bot.sendMessage(ctx.chatId, "✅ Number saved.", {
+      reply_markup: MAIN_MENU_KEYBOARD,
+    });
+    await this.bot.sendMessage(
+      ctx.chatId,
+      "🔐 Choose a 4–6 digit transaction PIN. You'll need it to approve every purchase:",
+      { reply_markup: CANCEL_KEYBOARD }
+    );
+  }
+
+  async sendResetCode(ctx, user) {
+    let outcome;
+    try {
+      outcome = await this.pins.sendResetCode(user);
+    } catch (error) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "❌ We couldn't send your reset code right now. Please try again later."
+      );
+    }
+    ctx.session.pinSetup = { mode: "reset", stage: "code" };
+    const phone = this.pins.maskPhone(user.verifiedPhone);
+    return this.bot.sendMessage(
+      ctx.chatId,
+      outcome.sent
+        ? `📩 We've texted a 6-digit code to ${phone}. Enter it here to reset your PIN:`
+        : `📩 A code was sent to ${phone} less than a minute ago. Enter it here, or send /resetpin again in ${outcome.retryIn}s for a new one:`,
+      { reply_markup: CANCEL_KEYBOARD }
+    );
+  }
+
+  async handleResetCode(ctx, user, code) {
+    const check = await this.pins.verifyResetCode(user, code);
+    if (check.ok) {
+      ctx.session.pinSetup.stage = "new";
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "✅ Code accepted. 🔐 Enter your new 4–6 digit PIN:",
+        { reply_markup: CANCEL_KEYBOARD }
+      );
+      return;
+    }
+    if (!check.attemptsLeft) {
+      clearSession(ctx.session);
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "❌ That code is no longer valid. Send /resetpin to get a new one."
+      );
+      return;
+    }
+    await this.bot.sendMessage(
+      ctx.chatId,
+      `❌ Wrong code. ${check.attemptsLeft} attempt(s) left. Try again:`
+    );
+  }
+
+  async deleteMessage(chatId, messageId) {
+    try {
+      await this.bot.deleteMessage(chatId, messageId);
+    } catch (error) {
+      console.warn("Could not delete PIN message:", error.message);
+    }
+  }
+}
+
+export default PinHandler;
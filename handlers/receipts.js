@@ -0,0 +1,53 @@
+// handlers/receipts.js
+// The "🧾 Receipt" button on successful purchases (after checkout, on
+// delivered pending purchases and in the history detail view) sends the
+// receipt as a PDF document the user can forward.
+import { isReceiptable } from "../services/receipt.js";
+
+class ReceiptHandler {
+  constructor({ bot, db, receipts }) {
+    if (!bot || !db || !receipts) {
+      throw new Error("ReceiptHandler requires bot, db and receipts");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.receipts = receipts;
+  }
+
+  // Returns true when the callback was a receipt button
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("receipt_")) return false;
+
+    const [user, transaction] = await Promise.all([
+      this.db.getUserByTelegramId(ctx.userId),
+      this.db.getTransaction(data.replace("receipt_", "")),
+    ]);
+    if (
+      !user ||
+      transaction?.userId !== user.$id ||
+      !isReceiptable(transaction)
+    ) {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        "❌ Receipts are only available for your successful purchases."
+      );
+      return true;
+    }
+
+    await this.bot.sendDocument(
+      ctx.chatId,
+      this.receipts.render(
+        transaction,
+        this.db.parseTransactionDetails(transaction)
+      ),
+      { caption: `🧾 Receipt for ${transaction.reference}` },
+      {
+        filename: `receipt-${transaction.reference}.pdf`,
+        contentType: "application/pdf",
+      }
+    );
+    return true;
+  }
+}
+
+export default ReceiptHandler;
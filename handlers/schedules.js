@@ -0,0 +1,144 @@
+// handlers/schedules.js
+// /schedules lists the user's scheduled purchases with pause, resume and
+// delete buttons. New schedules are made from a purchase's confirm screen.
+import { describeRule, formatLagos } from "../flows/schedule.js";
+
+const STATUS_ICONS = { active: "🟢", paused: "⏸" };
+
+class ScheduleHandler {
+  constructor({ bot, db, scheduler }) {
+    if (!bot || !db || !scheduler) {
+      throw new Error("ScheduleHandler requires bot, db and scheduler");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.scheduler = scheduler;
+  }
+
+  async send(ctx, text, keyboard) {
+    const options = keyboard ? { reply_markup: keyboard } : {};
+    if (ctx.messageId) {
+      return this.bot.editMessageText(text, {
+        chat_id: ctx.chatId,
+        message_id: ctx.messageId,
+        ...options,
+      });
+    }
+    return this.bot.sendMessage(ctx.chatId, text, options);
+  }
+
+  async list(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) return this.send(ctx, "❌ Please send /start first.");
+
+    const schedules = await this.db.getUserSchedules(user.$id);
+    if (!schedules.length) {
+      return this.send(
+        ctx,
+        "🗓 You have no scheduled purchases. Start a purchase and tap 🗓 Schedule on the confirm screen to set one up."
+      );
+    }
+    return this.send(
+      ctx,
+      "🗓 Your scheduled purchases — tap one to manage it:",
+      {
+        inline_keyboard: schedules.map((schedule) => [
+          {
+            text: `${STATUS_ICONS[schedule.status] || ""} ${schedule.label}`,
+            callback_data: `sched_view_${schedule.$id}`,
+          },
+        ]),
+      }
+    );
+  }
+
+  // Loads a schedule only if it belongs to the user pressing the button
+  async getOwned(ctx, scheduleId) {
+    const [user, schedule] = await Promise.all([
+      this.db.getUserByTelegramId(ctx.userId),
+      this.db.getSchedule(scheduleId),
+    ]);
+    if (!user || !schedule || schedule.userId !== user.$id) return null;
+    return schedule;
+  }
+
+  describe(schedule) {
+    const lines = [
+      `🗓 ${schedule.label}`,
+      describeRule(JSON.parse(schedule.rule)),
+      schedule.status === "active"
+        ? `⏭ Next run: ${formatLagos(schedule.nextRunAt)}`
+        : "⏸ Paused",
+    ];
+    if (schedule.lastRunAt) {
+      lines.push(
+        `Last run: ${formatLagos(schedule.lastRunAt)} (${schedule.lastStatus})`
+      );
+    }
+    return lines.join("\n");
+  }
+
+  // Returns true when the callback belonged to schedules
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("sched_")) return false;
+
+    if (data === "sched_list") {
+      await this.list(ctx);
+      return true;
+    }
+
+    const [, action, id] =
+      /^sched_(view|pause|resume|delete|confirmdelete)_(.+)$/.exec(data) || [];
+    let schedule = action ? await this.getOwned(ctx, id) : null;
+    if (!schedule || schedule.status === "completed") {
+      await this.send(ctx, "❌ That schedule no longer exists.");
+      return true;
+    }
+
+    if (action === "delete") {
+      await this.send(ctx, `🗑 Delete this schedule?\n${schedule.label}`, {
+        inline_keyboard: [
+          [
+            { text: "Yes, delete", callback_data: `sched_confirmdelete_${id}` },
+            { text: "⬅️ Back", callback_data: `sched_view_${id}` },
+          ],
+        ],
+      });
+      return true;
+    }
+    if (action === "confirmdelete") {
+      await this.db.deleteSchedule(id);
+      await this.send(ctx, "🗑 Schedule deleted.");
+      return true;
+    }
+
+    if (action === "pause") {
+      schedule = await this.scheduler.pause(schedule);
+    } else if (action === "resume") {
+      const resumed = await this.scheduler.resume(schedule);
+      if (!resumed) {
+        await this.db.updateSchedule(id, { status: "completed" });
+        await this.send(
+          ctx,
+          "⌛ That date has already passed, so the schedule was closed."
+        );
+        return true;
+      }
+      schedule = resumed;
+    }
+
+    const toggle =
+      schedule.status === "active"
+        ? { text: "⏸ Pause", callback_data: `sched_pause_${id}` }
+        : { text: "▶️ Resume", callback_data: `sched_resume_${id}` };
+    await this.send(ctx, this.describe(schedule), {
+      inline_keyboard: [
+        [toggle, { text: "🗑 Delete", callback_data: `sched_delete_${id}` }],
+        [{ text: "⬅️ Back", callback_data: "sched_list" }],
+      ],
+    });
+    return true;
+  }
+}
+
+export default ScheduleHandler;
@@ -0,0 +1,103 @@
+// handlers/statement.js
+// /statement [from] [to] → pick PDF or CSV → the statement comes back as a
+// document. Dates are YYYY-MM-DD; without them it covers this month so far.
+import { StatementError } from "../services/statement.js";
+import { lagosToday } from "../flows/schedule.js";
+
+const FORMATS = {
+  pdf: { label: "📄 PDF", contentType: "application/pdf" },
+  csv: { label: "📊 CSV", contentType: "text/csv" },
+};
+
+class StatementHandler {
+  constructor({ bot, db, statements }) {
+    if (!bot || !db || !statements) {
+      throw new Error("StatementHandler requires bot, db and statements");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.statements = statements;
+  }
+
+  // args is whatever followed /statement
+  async request(ctx, args = "") {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+
+    const today = lagosToday();
+    const [from = `${today.slice(0, 8)}01`, to = today] = args
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    try {
+      this.statements.validateRange(from, to);
+    } catch (error) {
+      if (!(error instanceof StatementError)) throw error;
+      return this.bot.sendMessage(
+        ctx.chatId,
+        `❌ ${error.message}.\n\nUse /statement 2026-01-01 2026-03-31, or just /statement for this month.`
+      );
+    }
+
+    return this.bot.sendMessage(
+      ctx.chatId,
+      `🧾 Statement from ${from} to ${to}. Which format?`,
+      {
+        reply_markup: {
+          inline_keyboard: [
+            Object.entries(FORMATS).map(([format, { label }]) => ({
+              text: label,
+              callback_data: `stmt_${format}_${from}_${to}`,
+            })),
+          ],
+        },
+      }
+    );
+  }
+
+  // Returns true when the callback was a statement format button
+  async handleCallback(ctx, data) {
+    const [, format, from, to] =
+      /^stmt_(pdf|csv)_([\d-]+)_([\d-]+)$/.exec(data) || [];
+    if (!format) return false;
+
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) return true;
+
+    await this.bot.editMessageText(
+      `⏳ Preparing your statement from ${from} to ${to}…`,
+      { chat_id: ctx.chatId, message_id: ctx.messageId }
+    );
+    let statement;
+    try {
+      statement = await this.statements.build(user, from, to);
+    } catch (error) {
+      if (!(error instanceof StatementError)) throw error;
+      await this.bot.sendMessage(ctx.chatId, `❌ ${error.message}.`);
+      return true;
+    }
+
+    const file =
+      format === "pdf"
+        ? this.statements.toPdf(statement)
+        : Buffer.from(this.statements.toCsv(statement), "utf8");
+    await this.bot.sendDocument(
+      ctx.chatId,
+      file,
+      {
+        caption: `🧾 Statement ${from} to ${to}\nOpening: ₦${statement.opening.toFixed(
+          2
+        )}\nClosing: ₦${statement.closing.toFixed(2)}`,
+      },
+      {
+        filename: `statement-${from}-to-${to}.${format}`,
+        contentType: FORMATS[format].contentType,
+      }
+    );
+    return true;
+  }
+}
+
+export default StatementHandler;
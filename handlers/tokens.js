@@ -0,0 +1,106 @@
+// handlers/tokens.js
+// /tokens lists recent electricity payments so a prepaid token can be sent
+// again. Tokens missing from the transaction (e.g. the disco was slow) are
+// fetched with a VTPass requery and stored for next time.
+import { getElectricityToken } from "../services/vtpass.js";
+import { formatToken } from "../flows/electricity.js";
+
+class TokenHandler {
+  constructor({ bot, db, vtpass }) {
+    if (!bot || !db || !vtpass) {
+      throw new Error("TokenHandler requires bot, db and vtpass");
+    }
+    this.bot = bot;
+    this.db = db;
+    this.vtpass = vtpass;
+  }
+
+  async list(ctx) {
+    const user = await this.db.getUserByTelegramId(ctx.userId);
+    if (!user) {
+      return this.bot.sendMessage(ctx.chatId, "❌ Please send /start first.");
+    }
+
+    const payments = await this.db.getUserTransactions(user.$id, 10, {
+      type: "electricity",
+      status: "success",
+    });
+    if (!payments.length) {
+      return this.bot.sendMessage(
+        ctx.chatId,
+        "💡 You have no electricity payments yet."
+      );
+    }
+    return this.bot.sendMessage(
+      ctx.chatId,
+      "💡 Recent electricity payments — tap one to get its token again:",
+      {
+        reply_markup: {
+          inline_keyboard: payments.map((payment) => {
+            const details = this.db.parseTransactionDetails(payment);
+            return [
+              {
+                text: `🔁 ${details.meter} · ₦${payment.amount.toFixed(2)} · ${
+                  payment.createdAt.split("T")[0]
+                }`,
+                callback_data: `token_resend_${payment.$id}`,
+              },
+            ];
+          }),
+        },
+      }
+    );
+  }
+
+  // Returns true when the callback was a resend button
+  async handleCallback(ctx, data) {
+    if (!data.startsWith("token_resend_")) return false;
+
+    const [user, payment] = await Promise.all([
+      this.db.getUserByTelegramId(ctx.userId),
+      this.db.getTransaction(data.replace("token_resend_", "")),
+    ]);
+    if (
+      !user ||
+      payment?.userId !== user.$id ||
+      payment.type !== "electricity" ||
+      payment.status !== "success"
+    ) {
+      await this.bot.sendMessage(ctx.chatId, "❌ Payment not found.");
+      return true;
+    }
+
+    const details = this.db.parseTransactionDetails(payment);
+    if (details.meterType === "postpaid") {
+      await this.bot.sendMessage(
+        ctx.chatId,
+        `💡 Meter ${details.meter} is postpaid, so there is no token. The payment was credited to the account directly.\nRef: ${payment.reference}`
+      );
+      return true;
+    }
+
+    let token = details.token ? details : null;
+    if (!token && details.requestId) {
+      token = getElectricityToken(
+        await this.vtpass.requeryTransaction(details.requestId)
+      );
+      if (token.token) {
+        await this.db.updateTransaction(payment.$id, {
+          details: JSON.stringify({ ...details, ...token }),
+        });
+      }
+    }
+
+    await this.bot.sendMessage(
+      ctx.chatId,
+      token?.token
+        ? `💡 Meter ${details.meter}${formatToken(token)}\nRef: ${
+            payment.reference
+          }`
+        : `⏳ The disco hasn't issued a token for meter ${details.meter} yet. Please try again later or contact support with Ref: ${payment.reference}`
+    );
+    return true;
+  }
+}
+
+export default TokenHandler;
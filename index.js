@@ -3,6 +3,36 @@ import TelegramBot from "node-telegram-bot-api";
 import VTPassService from "./services/vtpass.js";
 import PaystackService from "./services/paystack.js";
 import DatabaseService from "./services/database.js";
+import RefundService from "./services/refund.js";
+import RequeryWorker from "./services/requery.js";
+import PurchaseService from "./services/purchase.js";
+import PinService from "./services/pin.js";
+import SmsService from "./services/sms.js";
+import ReferralService from "./services/referral.js";
+import PricingService from "./services/pricing.js";
+import CashbackService from "./services/cashback.js";
+import CashbackHandler from "./handlers/cashback.js";
+import BeneficiaryHandler from "./handlers/beneficiaries.js";
+import Scheduler from "./services/scheduler.js";
+import ScheduleHandler from "./handlers/schedules.js";
+import TokenHandler from "./handlers/tokens.js";
+import ExamPinHandler from "./handlers/exampins.js";
+import BulkPurchaseService from "./services/bulk.js";
+import BulkHandler from "./handlers/bulk.js";
+import HistoryHandler from "./handlers/history.js";
+import StatementService from "./services/statement.js";
+import StatementHandler from "./handlers/statement.js";
+import ReceiptService from "./services/receipt.js";
+import ReceiptHandler from "./handlers/receipts.js";
+import FundingHandler from "./handlers/funding.js";
+import PaystackWebhook from "./services/webhook.js";
+import PinHandler from "./handlers/pin.js";
+import AdminHandler from "./handlers/admin.js";
+import BroadcastService from "./services/broadcast.js";
+import BroadcastHandler from "./handlers/broadcast.js";
+import { createSessionStore, clearSession } from "./services/sessions.js";
+import { FlowEngine, flows } from "./flows/index.js";
+import { MAIN_MENU_KEYBOARD } from "./config/menu.js";
 import Bottleneck from "bottleneck";
 import express from "express";
 import bodyParser from "body-parser";
@@ -12,10 +42,64 @@ const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
 const vtpass = new VTPassService();
 const paystack = new PaystackService();
 const db = new DatabaseService();
-const limiter = new Bottleneck({ minTime: 1000 });
-
-const userSessions = new Map();
-const SESSION_TIMEOUT = 30 * 60 * 1000; 
+const refunds = new RefundService(db, bot);
+const referrals = new ReferralService(db, bot);
+const cashback = new CashbackService(db);
+const requeryWorker = new RequeryWorker({
+  db,
+  vtpass,
+  refunds,
+  bot,
+  referrals,
+  cashback,
+});
+const pricing = new PricingService();
+const purchases = new PurchaseService({
+  db,
+  vtpass,
+  refunds,
+  referrals,
+  pricing,
+  cashback,
+});
+const cashbackHandler = new CashbackHandler({ bot, db, cashback });
+const beneficiaryHandler = new BeneficiaryHandler({ bot, db });
+const scheduler = new Scheduler({ db, bot, vtpass, purchases, flows });
+const scheduleHandler = new ScheduleHandler({ bot, db, scheduler });
+const tokenHandler = new TokenHandler({ bot, db, vtpass });
+const examPinHandler = new ExamPinHandler({ bot, db, vtpass });
+const pins = new PinService(db, { sms: new SmsService() });
+const pinHandler = new PinHandler({ bot, db, pins });
+const bulk = new BulkPurchaseService({ db, vtpass, purchases });
+const bulkHandler = new BulkHandler({ bot, db, bulk, pins });
+const historyHandler = new HistoryHandler({ bot, db });
+const statements = new StatementService({ db });
+const statementHandler = new StatementHandler({ bot, db, statements });
+const receipts = new ReceiptService();
+const receiptHandler = new ReceiptHandler({ bot, db, receipts });
+const fundingHandler = new FundingHandler({ bot, db, paystack });
+const webhooks = new PaystackWebhook({ db, bot, paystack, referrals });
+const broadcasts = new BroadcastService({ db, bot });
+const broadcastHandler = new BroadcastHandler({ bot, db, broadcasts });
+const adminHandler = new AdminHandler({ bot, db, pins, broadcastHandler });
+const flowEngine = new FlowEngine({
+  bot,
+  db,
+  vtpass,
+  purchases,
+  pins,
+  scheduler,
+  flows,
+});
+// Double taps on Confirm are caught by the confirm id the flow engine
+// stores in the session, which holds across instances, so updates aren't
+// held back here
+const limiter = new Bottleneck();
+
+const SESSION_TIMEOUT = 30 * 60 * 1000;
+const sessions = createSessionStore(process.env.SESSION_STORE, {
+  ttl: SESSION_TIMEOUT,
+});
 
 const app = express();
 app.use(bodyParser.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
@@ -27,15 +111,24 @@ const isTestMode =
   process.env.PAYSTACK_TEST_MODE === "true";
 
 // Periodic session cleanup
-setInterval(() => {
-  const now = Date.now();
-  for (const [chatId, session] of userSessions) {
-    if (now - session.lastActivity > SESSION_TIMEOUT) {
-      userSessions.delete(chatId);
-    }
+sessions.start();
+
+async function loadSession(chatId) {
+  try {
+    return (await sessions.get(chatId)) || {};
+  } catch (error) {
+    console.error("Session load Error:", error);
+    return {};
   }
-}, 60 * 1000);
+}
 
+async function saveSession(chatId, session) {
+  try {
+    await sessions.set(chatId, session);
+  } catch (error) {
+    console.error("Session save Error:", error);
+  }
+}
 
 app.post(
   WEBHOOK_PATH,
@@ -59,70 +152,8 @@ app.post(
       const payload = JSON.parse(req.body.toString("utf8"));
       const { event, data } = payload;
 
-      if (event !== "charge.success") {
-        return res.status(200).send("Event ignored");
-      }
-
-      const reference = data.reference;
-      const amount = data.amount / 100; // Convert from kobo
-      const userId = reference.split("_")[1]; // Format: FUND_<userId>_<timestamp>
-
-      console.log("🔔 Webhook received for reference:", reference);
-
-      // ✅ Fetch user
-      const user = await db.getUserByTelegramId(userId);
-      if (!user) {
-        console.error("❌ User not found for telegramId:", userId);
-        return res.status(400).send("User not found");
-      }
-
-      // ✅ Check if transaction already exists and succeeded
-      const existingTransaction = await db.findTransactionByReference(
-        reference
-      );
-      if (existingTransaction?.status === "success") {
-        console.log("🛑 Duplicate webhook for reference:", reference);
-        return res.status(200).send("Transaction already processed");
-      }
-
-      // ✅ Verify payment with Paystack
-      const verification = await paystack.verifyPayment(reference);
-      if (verification.data.status !== "success") {
-        console.error("❌ Payment verification failed:", reference);
-        return res.status(400).send("Payment not successful");
-      }
-
-      // ✅ Credit wallet
-      await db.updateWalletBalance(user.$id, amount, "credit");
-
-      // 🔧 FIX: Save or update transaction properly
-      if (existingTransaction) {
-        // Update existing transaction
-        await db.updateTransaction(existingTransaction.$id, {
-          status: "success",
-        });
-      } else {
-        // Create new transaction with correct parameters
-        await db.createTransaction(
-          user.$id, // userId
-          "credit", // type
-          amount, // amount
-          {
-            reference, // details object with reference
-            source: "Paystack",
-          },
-          "success" // status
-        );
-      }
-
-      // ✅ Notify user
-      await bot.sendMessage(
-        user.telegramId,
-        `✅ Wallet funded successfully with ₦${amount.toFixed(2)}!`
-      );
-
-      console.log(`✅ Wallet funded: ₦${amount} for user ${user.$id}`);
-      return res.status(200).send("Webhook processed");
+      const { status, message } = await webhooks.dispatch(event, data);
+      return res.status(status).send(message);
     } catch (error) {
       console.error("🔥 Webhook Handler Error:", error);
       return res.status(500).send("Internal server error");
@@ -146,60 +177,33 @@ async function pollPaymentStatus(
       if (verification.data.status === "success") {
         clearInterval(intervalId);
         const user = await db.getUserByTelegramId(userId);
-        const transactions = await db.getUserTransactions(user.$id, 10);
-
-        // 🔧 FIX: Properly parse details and find transaction by reference
-        const transaction = transactions.find((t) => {
-          try {
-            // Parse details if it's a JSON string, otherwise use as object
-            const details =
-              typeof t.details === "string" ? JSON.parse(t.details) : t.details;
-            return details?.reference === reference;
-          } catch (parseError) {
-            console.error("Error parsing transaction details:", parseError);
-            return false;
-          }
-        });
-
-        if (transaction && transaction.status === "success") {
+        // The webhook may be crediting the same payment right now; only one
+        // of them gets to claim the reference
+        const funding = await webhooks.creditFunding(
+          user,
+          amount,
+          reference,
+          verification.data,
+          { method: "polling" }
+        );
+        if (!funding) {
           console.log("🛑 Transaction already processed:", reference);
-          return; // Already processed
-        }
-
-        // 🔧 FIX: Credit wallet and update transaction status
-        await db.updateWalletBalance(user.$id, amount, "credit");
-
-        if (transaction) {
-          await db.updateTransaction(transaction.$id, { status: "success" });
-          console.log("✅ Transaction updated to success:", transaction.$id);
-        } else {
-          // 🔧 FIX: Create new transaction if not found
-          await db.createTransaction(
-            user.$id,
-            "credit",
-            amount,
-            {
-              reference, // This is already correct since 'reference' is passed in
-              source: "Paystack",
-              method: "polling",
-            },
-            "success"
-          );
-          console.log("✅ New transaction created for reference:", reference);
+          return;
         }
 
         await bot.sendMessage(
           chatId,
           `✅ Wallet funded successfully with ₦${amount.toFixed(2)}!`
         );
-        userSessions.delete(chatId);
+        await referrals.rewardReferrer(user.$id, "funding");
+        await sessions.delete(chatId);
         console.log(
           `✅ Polling completed: ₦${amount} credited to user ${userId}`
         );
       } else if (verification.data.status === "failed") {
         clearInterval(intervalId);
         await bot.sendMessage(chatId, "❌ Payment failed. Please try again.");
-        userSessions.delete(chatId);
+        await sessions.delete(chatId);
         console.log(`❌ Payment failed for reference: ${reference}`);
       } else {
         // Payment still pending, continue polling
@@ -227,7 +231,7 @@ async function pollPaymentStatus(
         chatId,
         "❌ Payment verification timed out. Please contact support if payment was successful."
       );
-      userSessions.delete(chatId);
+      await sessions.delete(chatId);
       console.log(
         `⏰ Polling timed out for reference: ${reference} after ${maxAttempts} attempts`
       );
@@ -235,91 +239,6 @@ async function pollPaymentStatus(
   }, interval);
 }
 
-const SUPPORTED_NETWORKS = {
-  MTN: { name: "MTN", airtime_code: "mtn", data_code: "mtn-data" },
-  GLO: { name: "Glo", airtime_code: "glo", data_code: "glo-data" },
-  AIRTEL: { name: "Airtel", airtime_code: "airtel", data_code: "airtel-data" },
-  "9MOBILE": {
-    name: "9mobile",
-    airtime_code: "etisalat",
-    data_code: "etisalat-data",
-  },
-};
-
-const SUPPORTED_ELECTRICITY_PROVIDERS = {
-  "eko-electric": { name: "Eko Electric" },
-  "kano-electric": { name: "Kano Electric" },
-  "portharcourt-electric": { name: "Port Harcourt Electric" },
-};
-
-const SUPPORTED_TV_PROVIDERS = {
-  dstv: { name: "DSTV", code: "dstv" },
-  gotv: { name: "GOTV", code: "gotv" },
-  startimes: { name: "StarTimes", code: "startimes" },
-};
-
-function getNetworkKeyboard(type) {
-  const networks = Object.values(SUPPORTED_NETWORKS);
-  const buttons = [];
-
-  for (let i = 0; i < networks.length; i += 2) {
-    const row = networks.slice(i, i + 2).map((network) => ({
-      text: network.name,
-      callback_data: `${type}_network_${network.airtime_code}`,
-    }));
-    buttons.push(row);
-  }
-
-  // Add Cancel button as last row
-  buttons.push([{ text: "❌ Cancel", callback_data: "cancel_operation" }]);
-
-  return { inline_keyboard: buttons };
-}
-
-function getElectricityProviderKeyboard() {
-  const providers = Object.entries(SUPPORTED_ELECTRICITY_PROVIDERS);
-  const buttons = [];
-
-  for (let i = 0; i < providers.length; i += 2) {
-    const row = providers.slice(i, i + 2).map(([code, provider]) => ({
-      text: provider.name,
-      callback_data: `electricity_provider_${code}`,
-    }));
-    buttons.push(row);
-  }
-
-  // Add Cancel button as last row
-  buttons.push([{ text: "❌ Cancel", callback_data: "cancel_operation" }]);
-
-  return { inline_keyboard: buttons };
-}
-
-function getTvProviderKeyboard() {
-  const providers = Object.entries(SUPPORTED_TV_PROVIDERS);
-  const buttons = [];
-
-  for (let i = 0; i < providers.length; i += 2) {
-    const row = providers.slice(i, i + 2).map(([code, provider]) => ({
-      text: provider.name,
-      callback_data: `tv_provider_${code}`,
-    }));
-    buttons.push(row);
-  }
-
-  // Add Cancel button as last row
-  buttons.push([{ text: "❌ Cancel", callback_data: "cancel_operation" }]);
-
-  return { inline_keyboard: buttons };
-}
-
-function getCancelKeyboard() {
-  return {
-    inline_keyboard: [
-      [{ text: "❌ Cancel", callback_data: "cancel_operation" }],
-    ],
-  };
-}
-
 // Bot handlers
 bot.onText(
   /\/start(?: (.+))?/,
@@ -330,13 +249,27 @@ bot.onText(
 
     try {
       // Create user if not already in DB
-      await db.createUser(
+      const isNewUser = !(await db.getUserByTelegramId(user.id));
+      const account = await db.createUser(
         user.id,
         user.first_name,
         user.last_name || "",
         user.username || ""
       );
 
+      const referralCode = referrals.parseStartParam(param);
+      if (referralCode) {
+        const referrer = await referrals.recordReferral(account, referralCode, {
+          isNewUser,
+        });
+        if (referrer) {
+          await bot.sendMessage(
+            chatId,
+            `🤝 You were invited by ${referrer.firstName}. Fund your wallet or make your first purchase and they'll get a thank-you bonus!`
+          );
+        }
+      }
+
       // If redirected from Paystack, show success message
       if (param === "wallet_funded") {
         await bot.sendMessage(
@@ -362,24 +295,19 @@ Hi ${user.first_name}! I'm your personal VTU assistant. Here's what I can help y
 📱 Buy Data - Get internet bundles  
 💡 Pay Electricity - Pay your bills  
 📺 Pay TV - Subscribe to cable TV  
-💰 Fund Wallet - Add money via Paystack  
+🎓 Education - WAEC and JAMB PINs  
+💰 Fund Wallet - Bank transfer or card via Paystack  
 📊 Check Balance - View wallet balance  
 📜 Transaction History - See past transactions  
+🤝 /referrals - Invite friends and earn ₦${referrals.bonus} each
+
+🔐 Send /setpin to create the transaction PIN that approves your purchases.
 
 Use the menu below to get started! 👇
     `;
 
       await bot.sendMessage(chatId, welcomeMessage, {
-        reply_markup: {
-          keyboard: [
-            ["💳 Buy Airtime", "📱 Buy Data"],
-            ["💡 Pay Electricity", "📺 Pay TV"],
-            ["💰 Fund Wallet", "📊 Check Balance"],
-            ["📜 Transaction History", "❓ Help"],
-          ],
-          resize_keyboard: true,
-          one_time_keyboard: false,
-        },
+        reply_markup: MAIN_MENU_KEYBOARD,
       });
     } catch (error) {
       console.error("Start command error:", error);
@@ -423,22 +351,222 @@ bot.onText(
   /\/cancel/,
   limiter.wrap(async (msg) => {
     const chatId = msg.chat.id;
-    userSessions.delete(chatId);
+    await sessions.delete(chatId);
     await bot.sendMessage(chatId, "❌ Current operation cancelled.", {
-      reply_markup: {
-        keyboard: [
-          ["💳 Buy Airtime", "📱 Buy Data"],
-          ["💡 Pay Electricity", "📺 Pay TV"],
-          ["💰 Fund Wallet", "📊 Check Balance"],
-          ["📜 Transaction History", "❓ Help"],
-        ],
-        resize_keyboard: true,
-        one_time_keyboard: false,
-      },
+      reply_markup: MAIN_MENU_KEYBOARD,
     });
   })
 );
 
+// Commands with their own bot.onText handler, skipped by the message handler
+const COMMAND_HANDLERS =
+  /^\/(start|cancel|setpin|changepin|resetpin|admin|unsubscribe|subscribe|referrals|cashback|beneficiaries|schedules|tokens|exampins|bulk|statement)\b/;
+
+const PIN_COMMANDS = { setpin: "set", changepin: "change", resetpin: "reset" };
+
+bot.onText(
+  /^\/(setpin|changepin|resetpin)\b/,
+  limiter.wrap(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const session = await loadSession(chatId);
+    try {
+      await pinHandler.start(
+        { chatId, userId: msg.from.id, session },
+        PIN_COMMANDS[match[1]]
+      );
+    } catch (error) {
+      console.error("PIN command Error:", error);
+      clearSession(session);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    } finally {
+      await saveSession(chatId, session);
+    }
+  })
+);
+
+bot.onText(
+  /^\/bulk\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    const session = await loadSession(chatId);
+    try {
+      await bulkHandler.start({ chatId, userId: msg.from.id, session });
+    } catch (error) {
+      console.error("/bulk Error:", error);
+      clearSession(session);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    } finally {
+      await saveSession(chatId, session);
+    }
+  })
+);
+
+bot.onText(
+  /^\/admin\b(.*)/,
+  limiter.wrap(async (msg, match) => {
+    const chatId = msg.chat.id;
+    const session = await loadSession(chatId);
+    try {
+      await adminHandler.handle(msg, match[1], session);
+    } finally {
+      await saveSession(chatId, session);
+    }
+  })
+);
+
+bot.onText(
+  /^\/beneficiaries\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      await beneficiaryHandler.list({ chatId, userId: msg.from.id });
+    } catch (error) {
+      console.error("/beneficiaries Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/schedules\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      await scheduleHandler.list({ chatId, userId: msg.from.id });
+    } catch (error) {
+      console.error("/schedules Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/tokens\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      await tokenHandler.list({ chatId, userId: msg.from.id });
+    } catch (error) {
+      console.error("/tokens Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/exampins\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      await examPinHandler.list({ chatId, userId: msg.from.id });
+    } catch (error) {
+      console.error("/exampins Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/statement\b(.*)/,
+  limiter.wrap(async (msg, match) => {
+    const chatId = msg.chat.id;
+    try {
+      await statementHandler.request({ chatId, userId: msg.from.id }, match[1]);
+    } catch (error) {
+      console.error("/statement Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/cashback\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      await cashbackHandler.show({ chatId, userId: msg.from.id });
+    } catch (error) {
+      console.error("/cashback Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/referrals\b/,
+  limiter.wrap(async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      const user = await db.getUserByTelegramId(msg.from.id);
+      if (!user) {
+        return bot.sendMessage(chatId, "❌ Please send /start first.");
+      }
+      const summary = await referrals.getSummary(user);
+      await bot.sendMessage(
+        chatId,
+        `🤝 Invite friends and earn ₦${referrals.bonus.toFixed(
+          2
+        )} when each one funds their wallet from their own card or bank account.
+
+🔗 Your link: ${summary.link}
+
+👥 Friends joined: ${summary.referred}
+✅ Bonuses earned: ${summary.rewarded}
+💰 Total earned: ₦${summary.earnings.toFixed(2)}`
+      );
+    } catch (error) {
+      console.error("/referrals Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
+bot.onText(
+  /^\/(unsubscribe|subscribe)\b/,
+  limiter.wrap(async (msg, match) => {
+    const chatId = msg.chat.id;
+    try {
+      await broadcastHandler.setOptOut(
+        { chatId, userId: msg.from.id },
+        match[1] === "unsubscribe"
+      );
+    } catch (error) {
+      console.error("Subscription command Error:", error);
+      await bot.sendMessage(
+        chatId,
+        "❌ Something went wrong. Try again later."
+      );
+    }
+  })
+);
+
 bot.on(
   "callback_query",
   limiter.wrap(async (query) => {
@@ -447,7 +575,7 @@ bot.on(
     const data = query.data;
 
     if (data === "cancel_operation") {
-      userSessions.delete(chatId);
+      await sessions.delete(chatId);
       await bot.answerCallbackQuery(query.id);
       await bot.editMessageText("❌ Operation cancelled.", {
         chat_id: chatId,
@@ -455,115 +583,36 @@ bot.on(
       });
       return;
     }
-    if (!userSessions.has(chatId)) {
-      userSessions.set(chatId, { lastActivity: Date.now() });
-    }
-    const session = userSessions.get(chatId);
-    session.lastActivity = Date.now();
+    const session = await loadSession(chatId);
 
     try {
       await bot.answerCallbackQuery(query.id);
 
-      if (data.startsWith("airtime_network_")) {
-        const networkCode = data.replace("airtime_network_", "");
-        const selectedNetwork = Object.values(SUPPORTED_NETWORKS).find(
-          (net) => net.airtime_code === networkCode
-        );
-        if (!selectedNetwork) {
-          return bot.sendMessage(
-            chatId,
-            "❌ Invalid network selected. Please try again."
-          );
-        }
-        session.airtimeNetwork = selectedNetwork;
-        session.stage = "awaiting_airtime_amount";
-        await bot.editMessageText(
-          `Selected Network: *${selectedNetwork.name}*\n\nEnter airtime amount:`,
-          {
-            chat_id: chatId,
-            message_id: query.message.message_id,
-            parse_mode: "Markdown",
-          }
-        );
-        return;
-      }
-
-      if (data.startsWith("data_network_")) {
-        const networkCode = data.replace("data_network_", "");
-        const selectedNetwork = Object.values(SUPPORTED_NETWORKS).find(
-          (net) => net.airtime_code === networkCode
-        );
-        if (!selectedNetwork) {
-          return bot.sendMessage(
-            chatId,
-            "❌ Invalid network selected. Please try again."
-          );
-        }
-        session.dataNetwork = selectedNetwork;
-        session.stage = "awaiting_data_phone";
-        await bot.editMessageText(
-          `Selected Network: *${selectedNetwork.name}*\n\n📞 Enter phone number for data:`,
-          {
-            chat_id: chatId,
-            message_id: query.message.message_id,
-            parse_mode: "Markdown",
-          }
-        );
-        return;
-      }
-
-      if (data.startsWith("electricity_provider_")) {
-        const providerCode = data.replace("electricity_provider_", "");
-        const selectedProvider = SUPPORTED_ELECTRICITY_PROVIDERS[providerCode];
-        if (!selectedProvider) {
-          return bot.sendMessage(
-            chatId,
-            "❌ Invalid provider selected. Please try again."
-          );
-        }
-        session.electricityProvider = {
-          code: providerCode,
-          ...selectedProvider,
-        };
-        session.stage = "awaiting_meter_number";
-        await bot.editMessageText(
-          `Selected Provider: *${selectedProvider.name}*\n\n🔌 Enter your meter number:`,
-          {
-            chat_id: chatId,
-            message_id: query.message.message_id,
-            parse_mode: "Markdown",
-          }
-        );
-        return;
-      }
-
-      if (data.startsWith("tv_provider_")) {
-        const providerCode = data.replace("tv_provider_", "");
-        const selectedProvider = SUPPORTED_TV_PROVIDERS[providerCode];
-        if (!selectedProvider) {
-          return bot.sendMessage(
-            chatId,
-            "❌ Invalid provider selected. Please try again."
-          );
-        }
-        session.tvProvider = { code: providerCode, ...selectedProvider };
-        session.stage = "awaiting_card_number";
-        await bot.editMessageText(
-          `Selected Provider: *${selectedProvider.name}*\n\n📺 Enter Smart Card Number:`,
-          {
-            chat_id: chatId,
-            message_id: query.message.message_id,
-            parse_mode: "Markdown",
-          }
-        );
-        return;
-      }
+      const ctx = {
+        chatId,
+        userId,
+        session,
+        messageId: query.message.message_id,
+      };
+      if (await broadcastHandler.handleCallback(ctx, query.from, data)) return;
+      if (await cashbackHandler.handleCallback(ctx, data)) return;
+      if (await beneficiaryHandler.handleCallback(ctx, data)) return;
+      if (await scheduleHandler.handleCallback(ctx, data)) return;
+      if (await tokenHandler.handleCallback(ctx, data)) return;
+      if (await examPinHandler.handleCallback(ctx, data)) return;
+      if (await bulkHandler.handleCallback(ctx, data)) return;
+      if (await historyHandler.handleCallback(ctx, data)) return;
+      if (await statementHandler.handleCallback(ctx, data)) return;
+      if (await receiptHandler.handleCallback(ctx, data)) return;
+      await flowEngine.handleCallback(ctx, data);
     } catch (err) {
       console.error("Callback Query Handler Error:", err);
       await bot.sendMessage(
         chatId,
         "❌ Something went wrong while processing your selection."
       );
+    } finally {
+      await saveSession(chatId, session);
     }
   })
 );
@@ -576,421 +625,55 @@ bot.on(
     const userId = msg.from.id;
 
     if (
-      !text ||
+      (!text && !msg.contact && !msg.document) ||
       msg.callback_query ||
-      text.startsWith("/start") ||
-      text.startsWith("/cancel")
+      COMMAND_HANDLERS.test(text)
     )
       return;
 
-    if (!userSessions.has(chatId)) {
-      userSessions.set(chatId, { lastActivity: Date.now() });
-    }
-    const session = userSessions.get(chatId);
-    session.lastActivity = Date.now();
+    const session = await loadSession(chatId);
 
     try {
-      // Input sanitization
-      const sanitizedText = text.replace(/[<>{}]/g, ""); // Basic sanitization
-
-      if (session.stage === "awaiting_airtime_amount") {
-        const amount = parseFloat(sanitizedText);
-        if (isNaN(amount) || amount < 50) {
-          return bot.sendMessage(chatId, "❌ Enter valid amount (min ₦50).");
-        }
-        session.airtimeAmount = amount;
-        session.stage = "awaiting_airtime_phone";
-        return bot.sendMessage(chatId, "📞 Enter phone number:", {
-          reply_markup: getCancelKeyboard(),
-        });
-      }
-
-      if (session.stage === "awaiting_airtime_phone") {
-        const phone = sanitizedText.replace(/\D/g, "");
-        if (!/^\d{10,14}$/.test(phone)) {
-          return bot.sendMessage(chatId, "❌ Invalid phone number. Try again.");
-        }
-        session.phone = phone;
-        session.stage = "confirm_airtime";
-        return bot.sendMessage(
-          chatId,
-          `Confirm Airtime:\nNetwork: *${session.airtimeNetwork.name}*\nAmount: ₦${session.airtimeAmount}\nPhone: ${phone}\n\nSend 'yes' to confirm or click Cancel below`,
-          {
-            parse_mode: "Markdown",
-            reply_markup: getCancelKeyboard(),
-          }
-        );
-      }
-
-      if (session.stage === "confirm_airtime") {
-        if (sanitizedText.toLowerCase() === "yes") {
-          session.stage = null;
-          const user = await db.getUserByTelegramId(userId);
-          const wallet = await db.getUserWallet(user.$id);
-          if (!wallet || wallet.balance < session.airtimeAmount) {
-            userSessions.delete(chatId);
-            return bot.sendMessage(
-              chatId,
-              "❌ Insufficient balance. Please fund your wallet."
-            );
-          }
-
-          await db.updateWalletBalance(
-            user.$id,
-            session.airtimeAmount,
-            "debit"
-          );
-          const result = await vtpass.buyAirtime(
-            session.airtimeNetwork.airtime_code,
-            session.airtimeAmount,
-            session.phone
-          );
-          const transactionStatus =
-            result.code === "000" &&
-            result.content?.transactions?.status === "delivered"
-              ? "success"
-              : "failed";
-          await db.createTransaction(
-            user.$id,
-            "airtime",
-            session.airtimeAmount,
-            {
-              reference: `AIRTIME_${user.$id}_${Date.now()}`,
-              network: session.airtimeNetwork.name,
-              phone: session.phone,
-              ...result,
-            },
-            transactionStatus
-          );
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            transactionStatus === "success"
-              ? `✅ Airtime sent to ${session.phone} on ${session.airtimeNetwork.name}!`
-              : `❌ Airtime purchase failed: ${
-                  result.response_description || "Unknown error"
-                }`
-          );
-        } else if (sanitizedText.toLowerCase() === "cancel") {
-          userSessions.delete(chatId);
-          return bot.sendMessage(chatId, "❌ Airtime purchase cancelled.");
-        }
-        return bot.sendMessage(chatId, "Send 'yes' or 'cancel'");
-      }
-
-      if (session.stage === "awaiting_data_phone") {
-        const phone = sanitizedText.replace(/\D/g, "");
-        if (!/^\d{10,14}$/.test(phone)) {
-          return bot.sendMessage(chatId, "❌ Invalid phone number. Try again.");
-        }
-        session.dataPhone = phone;
-        session.stage = "awaiting_data_variation";
-        const variations = await vtpass.getVariations(
-          session.dataNetwork.data_code
-        );
-        session.variations = variations.content?.varations || [];
-
-        if (!session.variations.length) {
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            `❌ No data plans found for ${session.dataNetwork.name}. Please try again later or choose another network.`
-          );
-        }
-
-        const opts = session.variations
-          .map(
-            (v) =>
-              `• ${v.name} (₦${v.variation_amount}) - Code: \`${v.variation_code}\``
-          )
-          .join("\n");
-        return bot.sendMessage(
-          chatId,
-          `📦 Choose data plan for *${session.dataNetwork.name}*:\n\n${opts}\n\nSend the *variation code* (e.g., \`${session.variations[0].variation_code}\`) to select a plan:`,
-          {
-            parse_mode: "Markdown",
-            reply_markup: getCancelKeyboard(),
-          }
-        );
-      }
-
-      if (session.stage === "awaiting_data_variation") {
-        const vcode = sanitizedText.trim();
-        const variation = session.variations.find(
-          (v) => v.variation_code.toLowerCase() === vcode.toLowerCase()
-        );
-        if (!variation) {
-          return bot.sendMessage(
-            chatId,
-            "❌ Invalid variation code. Please copy and send the exact code."
-          );
-        }
-        session.variation = variation;
-        session.stage = "confirm_data";
-        return bot.sendMessage(
-          chatId,
-          `Confirm Data:\nNetwork: *${session.dataNetwork.name}*\nPlan: ${variation.name}\nAmount: ₦${variation.variation_amount}\nPhone: ${session.dataPhone}\n\nSend 'yes' to confirm or click Cancel below`,
-          {
-            parse_mode: "Markdown",
-            reply_markup: getCancelKeyboard(),
-          }
-        );
-      }
-
-      if (session.stage === "confirm_data") {
-        if (sanitizedText.toLowerCase() === "yes") {
-          session.stage = null;
-          const user = await db.getUserByTelegramId(userId);
-          const wallet = await db.getUserWallet(user.$id);
-          const cost = parseFloat(session.variation.variation_amount);
-          if (!wallet || wallet.balance < cost) {
-            userSessions.delete(chatId);
-            return bot.sendMessage(
-              chatId,
-              "❌ Insufficient balance. Please fund your wallet."
-            );
-          }
-
-          await db.updateWalletBalance(user.$id, cost, "debit");
-          const result = await vtpass.buyData(
-            session.dataNetwork.data_code,
-            session.variation.variation_code,
-            session.dataPhone
-          );
-          const transactionStatus =
-            result.code === "000" &&
-            result.content?.transactions?.status === "delivered"
-              ? "success"
-              : "failed";
-          await db.createTransaction(
-            user.$id,
-            "data",
-            cost,
-            {
-              reference: `DATA_${user.$id}_${Date.now()}`,
-              network: session.dataNetwork.name,
-              plan: session.variation.name,
-              phone: session.dataPhone,
-              ...result,
-            },
-            transactionStatus
-          );
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            transactionStatus === "success"
-              ? `✅ Data sent to ${session.dataPhone} on ${session.dataNetwork.name} (${session.variation.name})!`
-              : `❌ Data purchase failed: ${
-                  result.response_description || "Unknown error"
-                }`
-          );
-        } else if (sanitizedText.toLowerCase() === "cancel") {
-          userSessions.delete(chatId);
-          return bot.sendMessage(chatId, "❌ Data purchase cancelled.");
-        }
-        return bot.sendMessage(chatId, "Send 'yes' or 'cancel'");
-      }
-
-      if (session.stage === "awaiting_meter_number") {
-        const meter = sanitizedText.trim();
-        if (!/^\d{10,}$/.test(meter)) {
-          return bot.sendMessage(chatId, "❌ Invalid meter number. Try again.");
-        }
-        session.meter = meter;
-        const verification = await vtpass.verifyMeterNumber(
-          meter,
-          session.electricityProvider.code,
-          "prepaid"
-        );
-        if (verification.code !== "000") {
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            `❌ Meter verification failed: ${
-              verification.response_description || "Unknown error"
-            }`
-          );
-        }
-        session.stage = "awaiting_meter_amount";
-        return bot.sendMessage(
-          chatId,
-          `✅ Meter verified: ${verification.content.Customer_Name}\n💡 Enter amount to pay:`,
-          { reply_markup: getCancelKeyboard() }
-        );
-      }
-
-      if (session.stage === "awaiting_meter_amount") {
-        const amount = parseFloat(sanitizedText);
-        if (isNaN(amount) || amount < 100) {
-          return bot.sendMessage(chatId, "❌ Enter valid amount (min ₦100).");
-        }
-        session.amount = amount;
-        session.stage = "confirm_electricity";
-        return bot.sendMessage(
-          chatId,
-          `Confirm Payment:\nProvider: ${session.electricityProvider.name}\nMeter: ${session.meter}\nAmount: ₦${amount}\n\nSend 'yes' to confirm or click Cancel below`,
-          {
-            parse_mode: "Markdown",
-            reply_markup: getCancelKeyboard(),
-          }
-        );
-      }
-
-      if (session.stage === "confirm_electricity") {
-        if (sanitizedText.toLowerCase() === "yes") {
-          session.stage = null;
-          const user = await db.getUserByTelegramId(userId);
-          const wallet = await db.getUserWallet(user.$id);
-          if (!wallet || wallet.balance < session.amount) {
-            userSessions.delete(chatId);
-            return bot.sendMessage(chatId, "❌ Insufficient balance.");
-          }
-          await db.updateWalletBalance(user.$id, session.amount, "debit");
-          const result = await vtpass.payElectricityBill(
-            session.electricityProvider.code,
-            session.meter,
-            "prepaid",
-            session.amount,
-            session.phone || "08012345678"
-          );
-          const transactionStatus =
-            result.code === "000" &&
-            result.content?.transactions?.status === "delivered"
-              ? "success"
-              : "failed";
-          await db.createTransaction(
-            user.$id,
-            "electricity",
-            session.amount,
-            {
-              reference: `ELEC_${user.$id}_${Date.now()}`,
-              provider: session.electricityProvider.name,
-              meter: session.meter,
-              ...result,
-            },
-            transactionStatus
-          );
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            transactionStatus === "success"
-              ? `✅ Electricity paid for meter ${session.meter}!`
-              : `❌ Electricity payment failed: ${
-                  result.response_description || "Unknown error"
-                }`
-          );
-        } else if (sanitizedText.toLowerCase() === "cancel") {
-          userSessions.delete(chatId);
-          return bot.sendMessage(chatId, "❌ Electricity payment cancelled.");
-        }
-        return bot.sendMessage(chatId, "Send 'yes' or 'cancel'");
+      if (
+        (await pinHandler.handleMessage({ chatId, userId, session }, msg)) ||
+        (await broadcastHandler.handleMessage(
+          { chatId, userId, session },
+          msg
+        )) ||
+        (await beneficiaryHandler.handleMessage(
+          { chatId, userId, session },
+          msg
+        )) ||
+        (await bulkHandler.handleMessage({ chatId, userId, session }, msg)) ||
+        (await fundingHandler.handleMessage({ chatId, userId, session }, msg))
+      ) {
+        return;
       }
+      if (!text) return;
 
-      if (session.stage === "awaiting_card_number") {
-        const card = sanitizedText.trim();
-        if (!/^\d{10,}$/.test(card)) {
-          return bot.sendMessage(
-            chatId,
-            "❌ Invalid Smart Card Number. Try again."
-          );
-        }
-        session.card = card;
-        session.stage = "awaiting_tv_variation";
-        const variations = await vtpass.getVariations(session.tvProvider.code);
-        session.variations = variations.content?.varations || [];
-
-        if (!session.variations.length) {
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            `❌ No TV plans found for ${session.tvProvider.name}. Please try again later.`
-          );
-        }
+      // Input sanitization
+      const sanitizedText = text.replace(/[<>{}]/g, ""); // Basic sanitization
 
-        const opts = session.variations
-          .map(
-            (v) =>
-              `• ${v.name} (₦${v.variation_amount}) - Code: \`${v.variation_code}\``
-          )
-          .join("\n");
-        return bot.sendMessage(
-          chatId,
-          `Choose TV plan for *${session.tvProvider.name}*:\n\n${opts}\n\nSend the *variation code*:`,
-          {
-            parse_mode: "Markdown",
-            reply_markup: getCancelKeyboard(),
-          }
-        );
+      const menuFlow = flowEngine.getFlowByMenu(sanitizedText);
+      if (menuFlow) {
+        return flowEngine.start({ chatId, userId, session }, menuFlow.id);
       }
 
-      if (session.stage === "awaiting_tv_variation") {
-        const vcode = sanitizedText.trim();
-        const variation = session.variations.find(
-          (v) => v.variation_code.toLowerCase() === vcode.toLowerCase()
-        );
-        if (!variation) {
-          return bot.sendMessage(chatId, "❌ Invalid code. Try again.");
-        }
-        session.variation = variation;
-        session.stage = "confirm_tv";
-        return bot.sendMessage(
-          chatId,
-          `Confirm TV:\nProvider: ${session.tvProvider.name}\nCard: ${session.card}\nPlan: ${variation.name}\nAmount: ₦${variation.variation_amount}\n\nSend 'yes' to confirm or click Cancel below`,
-          {
-            parse_mode: "Markdown",
-            reply_markup: getCancelKeyboard(),
-          }
-        );
+      if (
+        await flowEngine.handleText(
+          { chatId, userId, session, inputMessageId: msg.message_id },
+          sanitizedText
+        )
+      ) {
+        return;
       }
-
-      if (session.stage === "confirm_tv") {
-        if (sanitizedText.toLowerCase() === "yes") {
-          session.stage = null;
-          const user = await db.getUserByTelegramId(userId);
-          const wallet = await db.getUserWallet(user.$id);
-          const cost = parseFloat(session.variation.variation_amount);
-          if (!wallet || wallet.balance < cost) {
-            userSessions.delete(chatId);
-            return bot.sendMessage(chatId, "❌ Insufficient balance.");
-          }
-          await db.updateWalletBalance(user.$id, cost, "debit");
-          const result = await vtpass.payTvSubscription(
-            session.tvProvider.code,
-            session.card,
-            session.variation.variation_code
-          );
-          const transactionStatus =
-            result.code === "000" &&
-            result.content?.transactions?.status === "delivered"
-              ? "success"
-              : "failed";
-          await db.createTransaction(
-            user.$id,
-            "tv",
-            cost,
-            {
-              reference: `TV_${user.$id}_${Date.now()}`,
-              provider: session.tvProvider.name,
-              card: session.card,
-              plan: session.variation.name,
-              ...result,
-            },
-            transactionStatus
-          );
-          userSessions.delete(chatId);
-          return bot.sendMessage(
-            chatId,
-            transactionStatus === "success"
-              ? `✅ TV subscription completed for ${session.card}!`
-              : `❌ TV subscription failed: ${
-                  result.response_description || "Unknown error"
-                }`
-          );
-        } else if (sanitizedText.toLowerCase() === "cancel") {
-          userSessions.delete(chatId);
-          return bot.sendMessage(chatId, "❌ TV payment cancelled.");
-        }
-        return bot.sendMessage(chatId, "Send 'yes' or 'cancel'");
+      if (
+        await flowEngine.offerPhoneStart(
+          { chatId, userId, session },
+          sanitizedText
+        )
+      ) {
+        return;
       }
 
       if (/^\/fund (\d+)/.test(sanitizedText)) {
@@ -1001,6 +684,12 @@ bot.on(
 
         try {
           const user = await db.getUserByTelegramId(userId);
+          if (user.frozen) {
+            return bot.sendMessage(
+              chatId,
+              "🧊 Your account has been frozen. Please contact support."
+            );
+          }
           const email = user.email || `${user.telegramId}@example.com`;
           const reference = `FUND_${user.telegramId}_${Date.now()}`;
 
@@ -1035,6 +724,7 @@ bot.on(
           if (isTestMode) {
             pollPaymentStatus(reference, userId, amount, chatId);
           }
+          return;
         } catch (err) {
           console.error("/fund error:", err.message);
           return bot.sendMessage(
@@ -1044,43 +734,8 @@ bot.on(
         }
       }
 
-      if (sanitizedText === "💳 Buy Airtime") {
-        session.stage = "awaiting_airtime_network";
-        return bot.sendMessage(
-          chatId,
-          "Please select your network for Airtime:",
-          {
-            reply_markup: getNetworkKeyboard("airtime"),
-          }
-        );
-      }
-      if (sanitizedText === "📱 Buy Data") {
-        session.stage = "awaiting_data_network";
-        return bot.sendMessage(chatId, "Please select your network for Data:", {
-          reply_markup: getNetworkKeyboard("data"),
-        });
-      }
-      if (sanitizedText === "💡 Pay Electricity") {
-        session.stage = "awaiting_electricity_provider";
-        return bot.sendMessage(
-          chatId,
-          "Please select your electricity provider:",
-          {
-            reply_markup: getElectricityProviderKeyboard(),
-          }
-        );
-      }
-      if (sanitizedText === "📺 Pay TV") {
-        session.stage = "awaiting_tv_provider";
-        return bot.sendMessage(chatId, "Please select your TV provider:", {
-          reply_markup: getTvProviderKeyboard(),
-        });
-      }
       if (sanitizedText === "💰 Fund Wallet") {
-        return bot.sendMessage(
-          chatId,
-          "Use command: /fund <amount> (e.g., /fund 500)"
-        );
+        return fundingHandler.showAccount({ chatId, userId, session });
       }
       if (sanitizedText === "📊 Check Balance") {
         const user = await db.getUserByTelegramId(userId);
@@ -1089,39 +744,28 @@ bot.on(
         return bot.sendMessage(chatId, `💼 Balance: ₦${balance.toFixed(2)}`);
       }
       if (sanitizedText === "📜 Transaction History") {
-        const user = await db.getUserByTelegramId(userId);
-        const txns = await db.getUserTransactions(user.$id);
-        if (!txns.length) {
-          return bot.sendMessage(chatId, "📭 No transactions found.");
-        }
-        const lines = txns.map(
-          (t) =>
-            `• ${t.type.toUpperCase()} ₦${t.amount.toFixed(2)} - ${t.status} (${
-              t.createdAt.split("T")[0]
-            })`
-        );
-        return bot.sendMessage(chatId, `📜 Transactions:\n${lines.join("\n")}`);
+        return historyHandler.list({ chatId, userId, session });
       }
       if (sanitizedText === "❓ Help") {
         return bot.sendMessage(
           chatId,
-          "🆘 Help:\n💳 Buy Airtime\n📱 Buy Data\n💡 Pay Electricity\n📺 Pay TV\n💰 Fund Wallet\n📊 Check Balance\n📜 History"
+          "🆘 Help:\n💳 Buy Airtime\n📱 Buy Data\n💡 Pay Electricity\n📺 Pay TV\n🎓 Education\n💰 Fund Wallet\n📊 Check Balance\n📜 History\n\n📞 Or just send a phone number to top it up\n\n🔐 Transaction PIN:\n/setpin - Create your PIN\n/changepin - Change it\n/resetpin - Forgot your PIN\n\n📇 /beneficiaries - Saved recipients\n🗓 /schedules - Scheduled purchases\n💡 /tokens - Resend electricity tokens\n🎓 /exampins - Your exam PINs\n📦 /bulk - Buy for many numbers from a CSV\n🧾 /statement - Account statement (PDF or CSV)\n🎁 /cashback - Your cashback\n🤝 /referrals - Invite friends\n🔕 /unsubscribe - Stop announcements"
         );
       }
 
-      if (!session.stage) {
-        return bot.sendMessage(
-          chatId,
-          "❓ Unknown command. Please use the menu buttons or available commands."
-        );
-      }
+      return bot.sendMessage(
+        chatId,
+        "❓ Unknown command. Please use the menu buttons or available commands."
+      );
     } catch (err) {
       console.error("Handler Error:", err);
-      userSessions.delete(chatId);
+      clearSession(session);
       return bot.sendMessage(
         chatId,
         "❌ Something went wrong. The process has been reset. Please try again from the menu."
       );
+    } finally {
+      await saveSession(chatId, session);
     }
   })
 );
@@ -1131,6 +775,9 @@ app.listen(WEBHOOK_PORT, () => {
   console.log(`Webhook server running on port ${WEBHOOK_PORT}`);
 });
 
+requeryWorker.start();
+scheduler.start();
+
 console.log("🤖 VTU Bot started successfully!");
 console.log(`🧪 Running in ${isTestMode ? "TEST" : "LIVE"} mode`);
 if (isTestMode) {
@@ -1140,6 +787,9 @@ if (isTestMode) {
 
 process.on("SIGINT", () => {
   console.log("\n👋 Bot shutting down...");
+  requeryWorker.stop();
+  scheduler.stop();
+  sessions.stop();
   bot.stopPolling();
   process.exit(0);
 });
@@ -1156,5 +806,4 @@ app.post(TELEGRAM_WEBHOOK_PATH, (req, res) => {
   res.sendStatus(200);
 });
 
-
-export { bot, vtpass, paystack, db };
\ No newline at end of file
+export { bot, vtpass, paystack, db };
@@ -0,0 +1,37 @@
+// scripts/check-ledger.js
+// Compares every WALLETS.balance against the sum of its ledger entries.
+// Usage: npm run ledger:check [-- --backfill]
+//   --backfill  write an opening entry for wallets that predate the ledger
+import "dotenv/config";
+import DatabaseService from "../services/database.js";
+
+const db = new DatabaseService();
+const backfill = process.argv.includes("--backfill");
+
+try {
+  const { checked, drifted } = await db.findWalletDrift();
+  let remaining = 0;
+
+  for (const report of drifted) {
+    if (backfill && report.ledgerEntries === 0 && report.walletBalance > 0) {
+      await db.recordOpeningBalance(report.userId);
+      console.log(
+        `📒 Opening entry of ₦${report.walletBalance} recorded for user ${report.userId}`
+      );
+      continue;
+    }
+
+    remaining++;
+    console.warn(
+      `⚠️ Drift on wallet ${report.walletId} (user ${report.userId}): wallet ₦${report.walletBalance}, ledger ₦${report.ledgerBalance} (${report.ledgerEntries} entries), drift ₦${report.drift}`
+    );
+  }
+
+  console.log(
+    `✅ Checked ${checked} wallets, ${remaining} with unexplained drift`
+  );
+  process.exit(remaining > 0 ? 1 : 0);
+} catch (error) {
+  console.error("Ledger check failed:", error);
+  process.exit(1);
+}
@@ -0,0 +1,127 @@
+// services/broadcast.js
+import Bottleneck from "bottleneck";
+import { setTimeout } from "timers/promises";
+
+// Telegram allows about 30 messages a second across all chats; stay under it
+const DEFAULT_RATE = 25;
+
+class BroadcastService {
+  constructor({ db, bot }, { ratePerSecond } = {}) {
+    if (!db || !bot) throw new Error("BroadcastService requires db and bot");
+    this.db = db;
+    this.bot = bot;
+
+    const rate =
+      ratePerSecond ||
+      parseInt(process.env.BROADCAST_RATE_PER_SEC, 10) ||
+      DEFAULT_RATE;
+    this.limiter = new Bottleneck({
+      reservoir: rate,
+      reservoirRefreshAmount: rate,
+      reservoirRefreshInterval: 1000,
+      maxConcurrent: rate,
+    });
+  }
+
+  // Users who opted out or blocked the bot are skipped
+  isReachable(user) {
+    return !user.broadcastOptOut && !user.blockedBot;
+  }
+
+  buildOptions(button) {
+    const options = {};
+    if (button) {
+      options.reply_markup = {
+        inline_keyboard: [[{ text: button.text, url: button.url }]],
+      };
+    }
+    return options;
+  }
+
+  // Creates the broadcast record and delivers it to every reachable user.
+  // Resolves with the final counts; onProgress is called after each page.
+  async send(admin, { text, button = null }, { onProgress } = {}) {
+    const broadcast = await this.db.createBroadcast(admin, { text, button });
+    const counts = { delivered: 0, blocked: 0, failed: 0, skipped: 0 };
+    console.log(`📣 Broadcast ${broadcast.$id} started by admin ${admin.id}`);
+
+    try {
+      let cursor = null;
+      while (true) {
+        const users = await this.db.listUsers(cursor);
+        await Promise.all(
+          users.map(async (user) => {
+            if (!this.isReachable(user)) {
+              counts.skipped++;
+              return;
+            }
+            const status = await this.limiter.schedule(() =>
+              this.deliver(broadcast.$id, user, text, button)
+            );
+            counts[status]++;
+          })
+        );
+
+        await this.db.updateBroadcast(broadcast.$id, {
+          delivered: counts.delivered,
+          blocked: counts.blocked,
+          failed: counts.failed,
+        });
+        if (onProgress) await onProgress(counts);
+
+        if (users.length < 100) break;
+        cursor = users[users.length - 1].$id;
+      }
+
+      await this.db.updateBroadcast(broadcast.$id, {
+        status: "completed",
+        completedAt: new Date().toISOString(),
+      });
+      console.log(`📣 Broadcast ${broadcast.$id} finished:`, counts);
+      return { broadcast, counts };
+    } catch (error) {
+      console.error("Broadcast Error:", error);
+      await this.db
+        .updateBroadcast(broadcast.$id, { status: "failed" })
+        .catch(() => {});
+      throw error;
+    }
+  }
+
+  // Sends to one user and records the outcome: delivered, blocked or failed.
+  // A 429 is retried once after Telegram's retry_after.
+  async deliver(broadcastId, user, text, button, retried = false) {
+    let status = "delivered";
+    let reason = "";
+    try {
+      await this.bot.sendMessage(
+        user.telegramId,
+        text,
+        this.buildOptions(button)
+      );
+    } catch (error) {
+      const body = error.response?.body || {};
+      if (body.error_code === 429 && !retried) {
+        await setTimeout((body.parameters?.retry_after || 1) * 1000);
+        return this.deliver(broadcastId, user, text, button, true);
+      }
+
+      reason = body.description || error.message;
+      // 403 covers "bot was blocked by the user" and deactivated accounts
+      status = body.error_code === 403 ? "blocked" : "failed";
+    }
+
+    try {
+      if (status === "blocked") {
+        await this.db.updateUser(user.$id, { blockedBot: true });
+      }
+      await this.db.recordBroadcastDelivery(broadcastId, user, status, reason);
+    } catch (error) {
+      // The message itself went out; losing the record shouldn't stop the run
+      console.error(`Broadcast record Error (user ${user.$id}):`, error);
+    }
+    return status;
+  }
+}
+
+export default BroadcastService;
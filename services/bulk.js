@@ -0,0 +1,262 @@
+// services/bulk.js
+// Bulk airtime and data from an uploaded CSV or text file, one purchase per
+// row: phone, network, amount or plan. The network can be left blank to use
+// the number's prefix. A number buys that much airtime, anything else is a
+// data plan (VTPass variation code or the plan's exact name).
+import Bottleneck from "bottleneck";
+import { SUPPORTED_NETWORKS } from "../config/products.js";
+import { normalizePhone, detectNetwork } from "./phone.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { getVariationList } from "../flows/inputs.js";
+import { findPlan } from "../flows/plans.js";
+
+const DEFAULT_MAX_ROWS = 200;
+// VTPass doesn't publish a rate limit; a couple a second is well clear of it
+const DEFAULT_RATE = 2;
+const MIN_AIRTIME = 50;
+const MAX_AIRTIME = 50000;
+
+const REPORT_HEADER = [
+  "Row",
+  "Phone",
+  "Network",
+  "Product",
+  "Amount",
+  "Charged",
+  "Status",
+  "Reference",
+  "Note",
+];
+
+function findNetwork(value) {
+  const name = value.toLowerCase();
+  return Object.values(SUPPORTED_NETWORKS).find(
+    (network) =>
+      network.name.toLowerCase() === name || network.airtime_code === name
+  );
+}
+
+class BulkPurchaseService {
+  constructor({ db, vtpass, purchases }, { maxRows, ratePerSecond } = {}) {
+    if (!db || !vtpass || !purchases) {
+      throw new Error("BulkPurchaseService requires db, vtpass and purchases");
+    }
+    this.db = db;
+    this.vtpass = vtpass;
+    this.purchases = purchases;
+    this.maxRows =
+      maxRows || parseInt(process.env.BULK_MAX_ROWS, 10) || DEFAULT_MAX_ROWS;
+
+    const rate =
+      ratePerSecond ||
+      parseFloat(process.env.BULK_RATE_PER_SEC) ||
+      DEFAULT_RATE;
+    this.limiter = new Bottleneck({
+      maxConcurrent: 1,
+      minTime: Math.ceil(1000 / rate),
+    });
+  }
+
+  // Validates every row of an upload and prices the good ones. Returns
+  // { rows, invalid, total } where total is what the wallet will be charged.
+  async prepare(user, text) {
+    const lines = parseCsv(text);
+    // A header row is optional
+    if (lines.length && /phone/i.test(lines[0].cells[0])) lines.shift();
+    if (!lines.length) throw new Error("The file has no rows");
+    if (lines.length > this.maxRows) {
+      throw new Error(
+        `The file has ${lines.length} rows, the limit is ${this.maxRows}`
+      );
+    }
+
+    const plans = new Map();
+    const rows = [];
+    const invalid = [];
+    // Rows keep their line in the file, so the report matches the sheet
+    for (const { line, cells } of lines) {
+      try {
+        rows.push({ line, ...(await this.parseRow(user, cells, plans)) });
+      } catch (error) {
+        invalid.push({ line, phone: cells[0] || "", error: error.message });
+      }
+    }
+
+    const total = rows.reduce((sum, row) => sum + row.quote.sellingPrice, 0);
+    return { rows, invalid, total };
+  }
+
+  // plans caches each network's data plans for the whole upload
+  async parseRow(
+    user,
+    [phoneCell = "", networkCell = "", product = ""],
+    plans
+  ) {
+    const phone = normalizePhone(phoneCell);
+    if (!phone) throw new Error(`Invalid phone number "${phoneCell}"`);
+
+    const network = networkCell
+      ? findNetwork(networkCell)
+      : detectNetwork(phone);
+    if (!network) {
+      throw new Error(
+        networkCell
+          ? `Unknown network "${networkCell}"`
+          : "Network missing and not detectable from the number"
+      );
+    }
+    if (!product) throw new Error("Amount or plan missing");
+
+    if (/^\d+(\.\d+)?$/.test(product)) {
+      const amount = parseFloat(product);
+      if (amount < MIN_AIRTIME || amount > MAX_AIRTIME) {
+        throw new Error(
+          `Airtime must be between ₦${MIN_AIRTIME} and ₦${MAX_AIRTIME}`
+        );
+      }
+      return {
+        type: "airtime",
+        serviceID: network.airtime_code,
+        network: network.name,
+        phone,
+        amount,
+        quote: this.purchases.getQuote({
+          user,
+          type: "airtime",
+          serviceID: network.airtime_code,
+          amount,
+        }),
+      };
+    }
+
+    if (!plans.has(network.data_code)) {
+      plans.set(
+        network.data_code,
+        getVariationList(await this.vtpass.getVariations(network.data_code))
+      );
+    }
+    const variations = plans.get(network.data_code);
+    const plan =
+      findPlan(variations, product) ||
+      variations.find(
+        (variation) => variation.name.toLowerCase() === product.toLowerCase()
+      );
+    if (!plan) throw new Error(`No ${network.name} data plan "${product}"`);
+
+    const amount = parseFloat(plan.variation_amount);
+    return {
+      type: "data",
+      serviceID: network.data_code,
+      network: network.name,
+      phone,
+      amount,
+      plan: { code: plan.variation_code, name: plan.name },
+      quote: this.purchases.getQuote({
+        user,
+        type: "data",
+        serviceID: network.data_code,
+        amount,
+      }),
+    };
+  }
+
+  // Buys every row through PurchaseService at the bulk rate. Failed rows are
+  // refunded there; a row that throws (e.g. the wallet ran out) never
+  // debited anything. onProgress(done, total) is called after each row.
+  async run(user, rows, { onProgress } = {}) {
+    let done = 0;
+    console.log(`📦 Bulk purchase of ${rows.length} rows for user ${user.$id}`);
+    return Promise.all(
+      rows.map(async (row) => {
+        const outcome = await this.limiter.schedule(() => this.buy(user, row));
+        done++;
+        if (onProgress) await onProgress(done, rows.length);
+        return outcome;
+      })
+    );
+  }
+
+  async buy(user, row) {
+    try {
+      const { transaction, result, transactionStatus, refund } =
+        await this.purchases.execute({
+          user,
+          type: row.type,
+          serviceID: row.serviceID,
+          amount: row.amount,
+          quote: row.quote,
+          details: {
+            network: row.network,
+            phone: row.phone,
+            ...(row.plan ? { plan: row.plan.name } : {}),
+            bulk: true,
+          },
+          purchase: (requestId) =>
+            row.type === "airtime"
+              ? this.vtpass.buyAirtime(
+                  row.serviceID,
+                  row.amount,
+                  row.phone,
+                  requestId
+                )
+              : this.vtpass.buyData(
+                  row.serviceID,
+                  row.plan.code,
+                  row.phone,
+                  requestId
+                ),
+        });
+      return {
+        ...row,
+        status: transactionStatus,
+        reference: transaction.reference,
+        refund: refund ? parseFloat(refund.amount) : 0,
+        note:
+          transactionStatus === "failed"
+            ? result.response_description || "Unknown error"
+            : transactionStatus === "pending"
+            ? "Awaiting provider confirmation"
+            : "",
+      };
+    } catch (error) {
+      console.error(`Bulk row ${row.line} Error:`, error.message);
+      return { ...row, status: "failed", refund: 0, note: error.message };
+    }
+  }
+
+  // The report document: every uploaded row, invalid ones marked skipped
+  buildReport(outcomes, invalid = []) {
+    const rows = [
+      ...outcomes.map((outcome) => [
+        outcome.line,
+        outcome.phone,
+        outcome.network,
+        outcome.plan ? outcome.plan.name : "Airtime",
+        outcome.amount.toFixed(2),
+        // Failed rows were refunded or never debited
+        outcome.status === "failed"
+          ? "0.00"
+          : outcome.quote.sellingPrice.toFixed(2),
+        outcome.status,
+        outcome.reference || "",
+        outcome.refund
+          ? `${outcome.note} (₦${outcome.refund.toFixed(2)} refunded)`
+          : outcome.note,
+      ]),
+      ...invalid.map((row) => [
+        row.line,
+        row.phone,
+        "",
+        "",
+        "",
+        "0.00",
+        "skipped",
+        "",
+        row.error,
+      ]),
+    ].sort((a, b) => a[0] - b[0]);
+    return toCsv(REPORT_HEADER, rows);
+  }
+}
+
+export default BulkPurchaseService;
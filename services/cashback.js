@@ -0,0 +1,111 @@
+// services/cashback.js
+import { CASHBACK_SHARES } from "../config/pricing.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class CashbackService {
+  constructor(db) {
+    if (!db) throw new Error("CashbackService requires a database service");
+    this.db = db;
+  }
+
+  getShare(type) {
+    return CASHBACK_SHARES[type] ?? CASHBACK_SHARES.default ?? 0;
+  }
+
+  // One cashback per purchase, enforced the same way as refunds
+  getCashbackDocumentId(transaction) {
+    return `cashback_${transaction.$id}`;
+  }
+
+  // Stores VTPass's commission and discount as fields on a successful
+  // purchase and credits the user's share to their cashback balance.
+  // Returns the cashback amount.
+  async recordCommission(transaction, result) {
+    try {
+      const summary = result?.content?.transactions || {};
+      const commission = round(parseFloat(summary.commission) || 0);
+      const providerDiscount = round(parseFloat(summary.discount) || 0);
+      const cashback = round(commission * this.getShare(transaction.type));
+      const details = this.db.parseTransactionDetails(transaction);
+
+      if (cashback > 0) {
+        try {
+          const record = await this.db.createTransaction(
+            transaction.userId,
+            "cashback",
+            cashback,
+            {
+              reference: `CASHBACK_${transaction.reference}`,
+              originalReference: transaction.reference,
+              commission,
+            },
+            "pending",
+            this.getCashbackDocumentId(transaction)
+          );
+          await this.db.updateCashbackBalance(
+            transaction.userId,
+            cashback,
+            "credit"
+          );
+          await this.db.updateTransaction(record.$id, { status: "success" });
+        } catch (error) {
+          if (error.code !== 409) throw error;
+          console.log("🛑 Cashback already paid:", transaction.reference);
+        }
+      }
+
+      await this.db.updateTransaction(transaction.$id, {
+        serviceID: details.serviceID || null,
+        commission,
+        providerDiscount,
+        cashback,
+      });
+      return cashback;
+    } catch (error) {
+      // The purchase itself succeeded; a missed cashback can be fixed later
+      console.error("recordCommission Error:", error);
+      return 0;
+    }
+  }
+
+  async getBalance(userId) {
+    const wallet = await this.db.getUserWallet(userId);
+    return round(parseFloat(wallet?.cashbackBalance) || 0);
+  }
+
+  // Moves the whole cashback balance into the main wallet
+  async redeem(user) {
+    const amount = await this.getBalance(user.$id);
+    if (amount <= 0) return null;
+
+    const transaction = await this.db.createTransaction(
+      user.$id,
+      "cashback_redeem",
+      amount,
+      { reference: `CASHBACK_REDEEM_${user.$id}_${Date.now()}` },
+      "pending"
+    );
+
+    await this.db.updateCashbackBalance(user.$id, amount, "debit");
+    try {
+      await this.db.updateWalletBalance(
+        user.$id,
+        amount,
+        "credit",
+        transaction.reference
+      );
+    } catch (error) {
+      console.error("Cashback redeem Error:", error);
+      await this.db.updateCashbackBalance(user.$id, amount, "credit");
+      await this.db.updateTransaction(transaction.$id, { status: "failed" });
+      throw error;
+    }
+
+    await this.db.updateTransaction(transaction.$id, { status: "success" });
+    console.log(`🎁 User ${user.$id} moved ₦${amount} cashback to wallet`);
+    return { amount, transaction };
+  }
+}
+
+export default CashbackService;
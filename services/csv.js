@@ -0,0 +1,55 @@
+// services/csv.js
+// Just enough CSV for uploads and reports: quoted fields, "" escapes, and
+// comma, semicolon or tab separators (Excel in some locales uses ";").
+
+// Rows as { line, cells }: the 1-based line number in the file and the
+// trimmed cells. Blank lines are dropped.
+function parseCsv(text) {
+  const rows = [];
+  for (const [index, line] of String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .entries()) {
+    if (!line.trim()) continue;
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === "," || char === ";" || char === "\t") {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    rows.push({ line: index + 1, cells });
+  }
+  return rows;
+}
+
+function escapeCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// header: ["Col", ...]; rows: arrays in the same order
+function toCsv(header, rows) {
+  return [header, ...rows]
+    .map((row) => row.map(escapeCell).join(","))
+    .join("\r\n");
+}
+
+export { parseCsv, toCsv };
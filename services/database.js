@@ -10,6 +10,10 @@ class DatabaseService {
       const existing = await this.getUserByTelegramId(telegramId);
       if (existing) {
         await this.ensureUserWallet(existing.$id);
+        // Sending /start again means they've unblocked the bot
+        if (existing.blockedBot) {
+          return await this.updateUser(existing.$id, { blockedBot: false });
+        }
         return existing;
       }
 
@@ -75,6 +79,151 @@ class DatabaseService {
     }
   }
 
+  // Accepts a Telegram ID or an @username
+  async findUser(identifier) {
+    try {
+      const value = String(identifier || "").trim();
+      if (!value) throw new Error("identifier is required");
+      if (!value.startsWith("@")) return await this.getUserByTelegramId(value);
+
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.USERS,
+        [Query.equal("username", value.slice(1))]
+      );
+      return response.documents[0] || null;
+    } catch (error) {
+      console.error("findUser Error:", error);
+      throw error;
+    }
+  }
+
+  // Bank transfers to a dedicated virtual account only name the customer
+  async findUserByPaystackCustomer(customerCode) {
+    try {
+      if (!customerCode) throw new Error("customerCode is required");
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.USERS,
+        [Query.equal("paystackCustomerCode", customerCode)]
+      );
+      return response.documents[0] || null;
+    } catch (error) {
+      console.error("findUserByPaystackCustomer Error:", error);
+      throw error;
+    }
+  }
+
+  async findUserByReferralCode(code) {
+    try {
+      if (!code) throw new Error("code is required");
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.USERS,
+        [Query.equal("referralCode", code)]
+      );
+      return response.documents[0] || null;
+    } catch (error) {
+      console.error("findUserByReferralCode Error:", error);
+      throw error;
+    }
+  }
+
+  // { referred, rewarded, earnings } for a referrer
+  async getReferralStats(userId) {
+    try {
+      const [referred, rewarded, bonuses] = await Promise.all([
+        this.countDocuments(COLLECTIONS.USERS, [
+          Query.equal("referredBy", userId),
+        ]),
+        this.countDocuments(COLLECTIONS.USERS, [
+          Query.equal("referredBy", userId),
+          Query.isNotNull("referralRewardedAt"),
+        ]),
+        databases.listDocuments(DATABASE_ID, COLLECTIONS.TRANSACTIONS, [
+          Query.equal("userId", userId),
+          Query.equal("type", "referral_bonus"),
+          Query.equal("status", "success"),
+          Query.limit(5000),
+        ]),
+      ]);
+      const earnings = bonuses.documents.reduce(
+        (sum, txn) => sum + (parseFloat(txn.amount) || 0),
+        0
+      );
+      return { referred, rewarded, earnings: parseFloat(earnings.toFixed(2)) };
+    } catch (error) {
+      console.error("getReferralStats Error:", error);
+      throw error;
+    }
+  }
+
+  // One page of users in $id order, for jobs that walk the whole collection
+  async listUsers(cursor = null, limit = 100) {
+    try {
+      const queries = [Query.orderAsc("$id"), Query.limit(limit)];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.USERS,
+        queries
+      );
+      return response.documents;
+    } catch (error) {
+      console.error("listUsers Error:", error);
+      throw error;
+    }
+  }
+
+  async getUserById(userId) {
+    try {
+      if (!userId) throw new Error("userId is required");
+      return await databases.getDocument(
+        DATABASE_ID,
+        COLLECTIONS.USERS,
+        userId
+      );
+    } catch (error) {
+      if (error.code === 404) return null;
+      console.error("getUserById Error:", error);
+      throw error;
+    }
+  }
+
+  async updateUser(userId, updates) {
+    try {
+      if (!userId || !updates)
+        throw new Error("userId and updates are required");
+      return await databases.updateDocument(
+        DATABASE_ID,
+        COLLECTIONS.USERS,
+        userId,
+        updates
+      );
+    } catch (error) {
+      console.error("updateUser Error:", error);
+      throw error;
+    }
+  }
+
+  // USERS.fundingSources: every payment source (see
+  // PaystackService.getPaymentSource) the user has funded their wallet from
+  async addFundingSource(userId, source) {
+    try {
+      if (!userId || !source) throw new Error("userId and source are required");
+      const user = await this.getUserById(userId);
+      if (!user) throw new Error("User not found");
+      const sources = user.fundingSources || [];
+      if (sources.includes(source)) return user;
+      return await this.updateUser(userId, {
+        fundingSources: [...sources, source],
+      });
+    } catch (error) {
+      console.error("addFundingSource Error:", error);
+      throw error;
+    }
+  }
+
   async getUserWallet(userId) {
     try {
       if (!userId) throw new Error("userId is required");
@@ -90,44 +239,301 @@ class DatabaseService {
     }
   }
 
-  async updateWalletBalance(userId, amount, type = "credit") {
+  // Balance changes go through Appwrite's atomic increment/decrement so two
+  // concurrent updates can't overwrite each other, and every change is
+  // appended to the ledger with the balance on either side of it.
+  async updateWalletBalance(userId, amount, type = "credit", reference) {
     try {
       if (!userId || isNaN(amount) || amount < 0) {
         throw new Error("Invalid userId or amount");
       }
+      if (!reference) throw new Error("Ledger reference is required");
+      if (type !== "credit" && type !== "debit") {
+        throw new Error(`Invalid ledger entry type: ${type}`);
+      }
       const wallet = await this.getUserWallet(userId);
       if (!wallet) throw new Error("Wallet not found");
 
-      const currentBalance = parseFloat(wallet.balance);
-      const amt = parseFloat(amount);
-      const newBalance =
-        type === "credit" ? currentBalance + amt : currentBalance - amt;
+      const amt = parseFloat(parseFloat(amount).toFixed(2));
+      if (type === "debit" && parseFloat(wallet.balance) < amt) {
+        throw new Error("Insufficient balance");
+      }
 
-      if (newBalance < 0) throw new Error("Insufficient balance");
+      let updated;
+      try {
+        updated =
+          type === "credit"
+            ? await databases.incrementDocumentAttribute(
+                DATABASE_ID,
+                COLLECTIONS.WALLETS,
+                wallet.$id,
+                "balance",
+                amt
+              )
+            : await databases.decrementDocumentAttribute(
+                DATABASE_ID,
+                COLLECTIONS.WALLETS,
+                wallet.$id,
+                "balance",
+                amt,
+                0
+              );
+      } catch (error) {
+        // Another debit got in first and the min bound rejected this one
+        if (type === "debit" && error.code === 400) {
+          throw new Error("Insufficient balance");
+        }
+        throw error;
+      }
 
-      const formattedBalance = parseFloat(newBalance.toFixed(2));
-      return await databases.updateDocument(
-        DATABASE_ID,
-        COLLECTIONS.WALLETS,
-        wallet.$id,
-        { balance: formattedBalance }
+      const balanceAfter = parseFloat(parseFloat(updated.balance).toFixed(2));
+      const balanceBefore = parseFloat(
+        (type === "credit" ? balanceAfter - amt : balanceAfter + amt).toFixed(2)
       );
+
+      try {
+        await databases.createDocument(
+          DATABASE_ID,
+          COLLECTIONS.LEDGER,
+          ID.unique(),
+          {
+            userId,
+            walletId: wallet.$id,
+            type,
+            amount: amt,
+            balanceBefore,
+            balanceAfter,
+            reference,
+            createdAt: new Date().toISOString(),
+          }
+        );
+      } catch (error) {
+        // The balance has already moved; checkWalletConsistency will flag it
+        console.error(
+          `⚠️ Ledger entry missing for ${type} ${reference} on wallet ${wallet.$id}:`,
+          error
+        );
+      }
+
+      return updated;
     } catch (error) {
       console.error("updateWalletBalance Error:", error);
       throw error;
     }
   }
 
+  // Cashback is kept apart from the spendable balance (and out of the
+  // ledger) in WALLETS.cashbackBalance until the user moves it across.
+  async updateCashbackBalance(userId, amount, type = "credit") {
+    try {
+      if (!userId || isNaN(amount) || amount <= 0) {
+        throw new Error("Invalid userId or amount");
+      }
+      const wallet = await this.getUserWallet(userId);
+      if (!wallet) throw new Error("Wallet not found");
+
+      const amt = parseFloat(parseFloat(amount).toFixed(2));
+      try {
+        return type === "credit"
+          ? await databases.incrementDocumentAttribute(
+              DATABASE_ID,
+              COLLECTIONS.WALLETS,
+              wallet.$id,
+              "cashbackBalance",
+              amt
+            )
+          : await databases.decrementDocumentAttribute(
+              DATABASE_ID,
+              COLLECTIONS.WALLETS,
+              wallet.$id,
+              "cashbackBalance",
+              amt,
+              0
+            );
+      } catch (error) {
+        if (type === "debit" && error.code === 400) {
+          throw new Error("Insufficient cashback balance");
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error("updateCashbackBalance Error:", error);
+      throw error;
+    }
+  }
+
+  async getLedgerEntries(userId, limit = 25) {
+    try {
+      if (!userId) throw new Error("userId is required");
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.LEDGER,
+        [
+          Query.equal("userId", userId),
+          Query.orderDesc("createdAt"),
+          Query.limit(limit),
+        ]
+      );
+      return response.documents;
+    } catch (error) {
+      console.error("getLedgerEntries Error:", error);
+      throw error;
+    }
+  }
+
+  async findLedgerEntry(reference, type) {
+    try {
+      if (!reference || !type)
+        throw new Error("reference and type are required");
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.LEDGER,
+        [Query.equal("reference", reference), Query.equal("type", type)]
+      );
+      return response.documents[0] || null;
+    } catch (error) {
+      console.error("findLedgerEntry Error:", error);
+      throw error;
+    }
+  }
+
+  async getLedgerBalance(userId) {
+    try {
+      if (!userId) throw new Error("userId is required");
+
+      let total = 0;
+      let count = 0;
+      let cursor = null;
+      while (true) {
+        const queries = [
+          Query.equal("userId", userId),
+          Query.orderAsc("$id"),
+          Query.limit(100),
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.LEDGER,
+          queries
+        );
+        for (const entry of response.documents) {
+          const amt = parseFloat(entry.amount);
+          total += entry.type === "debit" ? -amt : amt;
+        }
+        count += response.documents.length;
+
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+
+      return { balance: parseFloat(total.toFixed(2)), entries: count };
+    } catch (error) {
+      console.error("getLedgerBalance Error:", error);
+      throw error;
+    }
+  }
+
+  async checkWalletConsistency(userId) {
+    try {
+      const wallet = await this.getUserWallet(userId);
+      if (!wallet) throw new Error("Wallet not found");
+
+      const ledger = await this.getLedgerBalance(userId);
+      const walletBalance = parseFloat(parseFloat(wallet.balance).toFixed(2));
+      const drift = parseFloat((walletBalance - ledger.balance).toFixed(2));
+
+      return {
+        userId,
+        walletId: wallet.$id,
+        walletBalance,
+        ledgerBalance: ledger.balance,
+        ledgerEntries: ledger.entries,
+        drift,
+        consistent: drift === 0,
+      };
+    } catch (error) {
+      console.error("checkWalletConsistency Error:", error);
+      throw error;
+    }
+  }
+
+  async findWalletDrift() {
+    try {
+      const drifted = [];
+      let checked = 0;
+      let cursor = null;
+      while (true) {
+        const queries = [Query.orderAsc("$id"), Query.limit(100)];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.WALLETS,
+          queries
+        );
+        for (const wallet of response.documents) {
+          const report = await this.checkWalletConsistency(wallet.userId);
+          if (!report.consistent) drifted.push(report);
+        }
+        checked += response.documents.length;
+
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+
+      return { checked, drifted };
+    } catch (error) {
+      console.error("findWalletDrift Error:", error);
+      throw error;
+    }
+  }
+
+  // Wallets created before the ledger existed have a balance but no entries.
+  // This writes a single opening entry so they start out consistent.
+  async recordOpeningBalance(userId) {
+    try {
+      const wallet = await this.getUserWallet(userId);
+      if (!wallet) throw new Error("Wallet not found");
+
+      const ledger = await this.getLedgerBalance(userId);
+      if (ledger.entries > 0) {
+        throw new Error("Wallet already has ledger entries");
+      }
+
+      const balance = parseFloat(parseFloat(wallet.balance).toFixed(2));
+      return await databases.createDocument(
+        DATABASE_ID,
+        COLLECTIONS.LEDGER,
+        ID.unique(),
+        {
+          userId,
+          walletId: wallet.$id,
+          type: "credit",
+          amount: balance,
+          balanceBefore: 0,
+          balanceAfter: balance,
+          reference: `OPENING_${wallet.$id}`,
+          createdAt: new Date().toISOString(),
+        }
+      );
+    } catch (error) {
+      console.error("recordOpeningBalance Error:", error);
+      throw error;
+    }
+  }
+
   async createTransaction(
     userId,
     type,
     amount,
     details = {},
-    status = "pending"
+    status = "pending",
+    documentId = ID.unique()
   ) {
     try {
       // Validate required fields
-      if (!userId || !amount || !type) {
+      if (!userId || amount == null || !type) {
         throw new Error(
           "Invalid transaction data: Missing userId, amount, or type"
         );
@@ -156,7 +562,7 @@ class DatabaseService {
       return await databases.createDocument(
         DATABASE_ID,
         COLLECTIONS.TRANSACTIONS,
-        ID.unique(),
+        documentId,
         payload
       );
     } catch (error) {
@@ -182,18 +588,35 @@ class DatabaseService {
     }
   }
 
-  async getUserTransactions(userId, limit = 10) {
+  async deleteTransaction(transactionId) {
+    try {
+      await databases.deleteDocument(
+        DATABASE_ID,
+        COLLECTIONS.TRANSACTIONS,
+        transactionId
+      );
+    } catch (error) {
+      console.error("deleteTransaction Error:", error);
+      throw error;
+    }
+  }
+
+  async getUserTransactions(userId, limit = 10, { type, status } = {}) {
     try {
       if (!userId) throw new Error("userId is required");
 
+      const queries = [
+        Query.equal("userId", userId),
+        Query.notEqual("type", "admin_audit"),
+        Query.orderDesc("createdAt"),
+        Query.limit(limit),
+      ];
+      if (type) queries.push(Query.equal("type", type));
+      if (status) queries.push(Query.equal("status", status));
       const response = await databases.listDocuments(
         DATABASE_ID,
         COLLECTIONS.TRANSACTIONS,
-        [
-          Query.equal("userId", userId),
-          Query.orderDesc("createdAt"),
-          Query.limit(limit),
-        ]
+        queries
       );
       return response.documents;
     } catch (error) {
@@ -202,6 +625,699 @@ class DatabaseService {
     }
   }
 
+  // One page of a user's history, newest first. cursor is the $id of the
+  // last transaction on the previous page; from/to are ISO dates (to is
+  // exclusive). hasMore says whether there is a next page.
+  async listUserTransactions(
+    userId,
+    { types, status, from, to, cursor, limit = 10 } = {}
+  ) {
+    try {
+      if (!userId) throw new Error("userId is required");
+
+      const queries = [
+        Query.equal("userId", userId),
+        Query.notEqual("type", "admin_audit"),
+        Query.orderDesc("createdAt"),
+        // One extra to tell whether another page follows
+        Query.limit(limit + 1),
+      ];
+      if (types?.length) queries.push(Query.equal("type", types));
+      if (status) queries.push(Query.equal("status", status));
+      if (from) queries.push(Query.greaterThanEqual("createdAt", from));
+      if (to) queries.push(Query.lessThan("createdAt", to));
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.TRANSACTIONS,
+        queries
+      );
+      return {
+        transactions: response.documents.slice(0, limit),
+        hasMore: response.documents.length > limit,
+      };
+    } catch (error) {
+      console.error("listUserTransactions Error:", error);
+      throw error;
+    }
+  }
+
+  // Every transaction in [from, to), oldest first, to describe the ledger
+  // entries on a statement
+  async getTransactionsBetween(userId, from, to) {
+    try {
+      if (!userId || !from || !to) {
+        throw new Error("userId, from and to are required");
+      }
+
+      const transactions = [];
+      let cursor = null;
+      while (true) {
+        const queries = [
+          Query.equal("userId", userId),
+          Query.notEqual("type", "admin_audit"),
+          Query.greaterThanEqual("createdAt", from),
+          Query.lessThan("createdAt", to),
+          Query.orderAsc("createdAt"),
+          Query.limit(100),
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.TRANSACTIONS,
+          queries
+        );
+        transactions.push(...response.documents);
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+      return transactions;
+    } catch (error) {
+      console.error("getTransactionsBetween Error:", error);
+      throw error;
+    }
+  }
+
+  // Every ledger entry in [from, to), oldest first, for statements
+  async getLedgerEntriesBetween(userId, from, to) {
+    try {
+      if (!userId || !from || !to) {
+        throw new Error("userId, from and to are required");
+      }
+
+      const entries = [];
+      let cursor = null;
+      while (true) {
+        const queries = [
+          Query.equal("userId", userId),
+          Query.greaterThanEqual("createdAt", from),
+          Query.lessThan("createdAt", to),
+          Query.orderAsc("createdAt"),
+          Query.limit(100),
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.LEDGER,
+          queries
+        );
+        entries.push(...response.documents);
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+      return entries;
+    } catch (error) {
+      console.error("getLedgerEntriesBetween Error:", error);
+      throw error;
+    }
+  }
+
+  // Wallet balance just before `date`, from the last ledger entry
+  async getBalanceAt(userId, date) {
+    try {
+      if (!userId || !date) throw new Error("userId and date are required");
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.LEDGER,
+        [
+          Query.equal("userId", userId),
+          Query.lessThan("createdAt", date),
+          Query.orderDesc("createdAt"),
+          Query.limit(1),
+        ]
+      );
+      const entry = response.documents[0];
+      return entry ? parseFloat(entry.balanceAfter) : 0;
+    } catch (error) {
+      console.error("getBalanceAt Error:", error);
+      throw error;
+    }
+  }
+
+  async getTransaction(transactionId) {
+    try {
+      return await databases.getDocument(
+        DATABASE_ID,
+        COLLECTIONS.TRANSACTIONS,
+        transactionId
+      );
+    } catch (error) {
+      if (error.code === 404) return null;
+      console.error("getTransaction Error:", error);
+      throw error;
+    }
+  }
+
+  // One page of pending purchases, oldest first. `before` leaves out ones
+  // created after it; pass the last document's $id as cursor for the next
+  // page.
+  async getPendingTransactions(types, { before, cursor, limit = 50 } = {}) {
+    try {
+      if (!types?.length) throw new Error("types are required");
+
+      const queries = [
+        Query.equal("status", "pending"),
+        Query.equal("type", types),
+        Query.orderAsc("createdAt"),
+        Query.limit(limit),
+      ];
+      if (before) queries.push(Query.lessThan("createdAt", before));
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.TRANSACTIONS,
+        queries
+      );
+      return response.documents;
+    } catch (error) {
+      console.error("getPendingTransactions Error:", error);
+      throw error;
+    }
+  }
+
+  parseTransactionDetails(transaction) {
+    try {
+      return typeof transaction.details === "string"
+        ? JSON.parse(transaction.details)
+        : transaction.details || {};
+    } catch (error) {
+      console.error("Error parsing transaction details:", error);
+      return {};
+    }
+  }
+
+  // Operator actions. Every one of them leaves a transaction naming the admin:
+  // credits and debits are recorded as admin_credit/admin_debit on the
+  // user's account, everything else as an admin_audit entry (kept out of the
+  // user's own history).
+  async recordAdminAction(admin, action, { userId, amount = 0, details = {} }) {
+    try {
+      if (!admin?.id || !action)
+        throw new Error("admin and action are required");
+
+      return await this.createTransaction(
+        userId || `admin_${admin.id}`,
+        "admin_audit",
+        amount,
+        {
+          reference: `ADMIN_${action.toUpperCase()}_${admin.id}_${Date.now()}`,
+          action,
+          adminTelegramId: String(admin.id),
+          adminUsername: admin.username || "",
+          ...details,
+        },
+        "success"
+      );
+    } catch (error) {
+      console.error("recordAdminAction Error:", error);
+      throw error;
+    }
+  }
+
+  async adminAdjustWallet(admin, userId, amount, type, reason = "") {
+    try {
+      if (!["credit", "debit"].includes(type)) {
+        throw new Error("type must be credit or debit");
+      }
+      const reference = `ADMIN_${type.toUpperCase()}_${userId}_${Date.now()}`;
+      // Recorded before the wallet moves, so no change goes without a trail
+      const pending = await this.createTransaction(
+        userId,
+        `admin_${type}`,
+        amount,
+        {
+          reference,
+          reason,
+          adminTelegramId: String(admin.id),
+          adminUsername: admin.username || "",
+        },
+        "pending"
+      );
+      let wallet;
+      try {
+        wallet = await this.updateWalletBalance(
+          userId,
+          amount,
+          type,
+          reference
+        );
+      } catch (error) {
+        await this.updateTransaction(pending.$id, { status: "failed" });
+        throw error;
+      }
+      const transaction = await this.updateTransaction(pending.$id, {
+        status: "success",
+      });
+      return { wallet, transaction };
+    } catch (error) {
+      console.error("adminAdjustWallet Error:", error);
+      throw error;
+    }
+  }
+
+  async setUserFrozen(admin, userId, frozen, reason = "") {
+    try {
+      const user = await this.updateUser(userId, { frozen });
+      await this.recordAdminAction(admin, frozen ? "freeze" : "unfreeze", {
+        userId,
+        details: { reason },
+      });
+      return user;
+    } catch (error) {
+      console.error("setUserFrozen Error:", error);
+      throw error;
+    }
+  }
+
+  async setUserTier(admin, userId, tier) {
+    try {
+      const user = await this.updateUser(userId, { tier });
+      await this.recordAdminAction(admin, "tier", {
+        userId,
+        details: { tier },
+      });
+      return user;
+    } catch (error) {
+      console.error("setUserTier Error:", error);
+      throw error;
+    }
+  }
+
+  async countDocuments(collection, queries = []) {
+    const response = await databases.listDocuments(DATABASE_ID, collection, [
+      ...queries,
+      Query.limit(1),
+    ]);
+    return response.total;
+  }
+
+  async getAdminStats(since = new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+    try {
+      const [users, frozenUsers, pending] = await Promise.all([
+        this.countDocuments(COLLECTIONS.USERS),
+        this.countDocuments(COLLECTIONS.USERS, [Query.equal("frozen", true)]),
+        this.countDocuments(COLLECTIONS.TRANSACTIONS, [
+          Query.equal("status", "pending"),
+        ]),
+      ]);
+
+      let walletTotal = 0;
+      let cursor = null;
+      while (true) {
+        const queries = [Query.orderAsc("$id"), Query.limit(100)];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.WALLETS,
+          queries
+        );
+        for (const wallet of response.documents) {
+          walletTotal += parseFloat(wallet.balance) || 0;
+        }
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+
+      // Successful volume per transaction type since `since`
+      const volume = {};
+      let recent = 0;
+      cursor = null;
+      while (true) {
+        const queries = [
+          Query.greaterThanEqual("createdAt", since.toISOString()),
+          Query.notEqual("type", "admin_audit"),
+          Query.orderAsc("$id"),
+          Query.limit(100),
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.TRANSACTIONS,
+          queries
+        );
+        for (const txn of response.documents) {
+          recent++;
+          if (txn.status !== "success") continue;
+          const entry = (volume[txn.type] ||= { count: 0, amount: 0 });
+          entry.count++;
+          entry.amount += parseFloat(txn.amount) || 0;
+        }
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+
+      return {
+        users,
+        frozenUsers,
+        pending,
+        walletTotal: parseFloat(walletTotal.toFixed(2)),
+        since,
+        recent,
+        volume,
+      };
+    } catch (error) {
+      console.error("getAdminStats Error:", error);
+      throw error;
+    }
+  }
+
+  // Saved recipients. kind: "phone" | "meter" | "smartcard"; provider is
+  // the VTPass serviceID they were last used with, if any.
+  async createBeneficiary(userId, { kind, value, nickname, provider = null }) {
+    try {
+      if (!userId || !kind || !value || !nickname) {
+        throw new Error("userId, kind, value and nickname are required");
+      }
+      return await databases.createDocument(
+        DATABASE_ID,
+        COLLECTIONS.BENEFICIARIES,
+        ID.unique(),
+        {
+          userId,
+          kind,
+          value: String(value),
+          nickname,
+          provider,
+          createdAt: new Date().toISOString(),
+        }
+      );
+    } catch (error) {
+      console.error("createBeneficiary Error:", error);
+      throw error;
+    }
+  }
+
+  async getBeneficiaries(userId, { kind, provider } = {}) {
+    try {
+      if (!userId) throw new Error("userId is required");
+      const queries = [
+        Query.equal("userId", userId),
+        Query.orderAsc("nickname"),
+        Query.limit(100),
+      ];
+      if (kind) queries.push(Query.equal("kind", kind));
+      if (provider) queries.push(Query.equal("provider", provider));
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.BENEFICIARIES,
+        queries
+      );
+      return response.documents;
+    } catch (error) {
+      console.error("getBeneficiaries Error:", error);
+      throw error;
+    }
+  }
+
+  async findBeneficiary(userId, kind, value) {
+    try {
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.BENEFICIARIES,
+        [
+          Query.equal("userId", userId),
+          Query.equal("kind", kind),
+          Query.equal("value", String(value)),
+        ]
+      );
+      return response.documents[0] || null;
+    } catch (error) {
+      console.error("findBeneficiary Error:", error);
+      throw error;
+    }
+  }
+
+  async getBeneficiary(beneficiaryId) {
+    try {
+      return await databases.getDocument(
+        DATABASE_ID,
+        COLLECTIONS.BENEFICIARIES,
+        beneficiaryId
+      );
+    } catch (error) {
+      if (error.code === 404) return null;
+      console.error("getBeneficiary Error:", error);
+      throw error;
+    }
+  }
+
+  async updateBeneficiary(beneficiaryId, updates) {
+    try {
+      return await databases.updateDocument(
+        DATABASE_ID,
+        COLLECTIONS.BENEFICIARIES,
+        beneficiaryId,
+        updates
+      );
+    } catch (error) {
+      console.error("updateBeneficiary Error:", error);
+      throw error;
+    }
+  }
+
+  async deleteBeneficiary(beneficiaryId) {
+    try {
+      await databases.deleteDocument(
+        DATABASE_ID,
+        COLLECTIONS.BENEFICIARIES,
+        beneficiaryId
+      );
+    } catch (error) {
+      console.error("deleteBeneficiary Error:", error);
+      throw error;
+    }
+  }
+
+  // Scheduled purchases. data and rule are JSON strings (see
+  // services/scheduler.js); status: "active" | "paused" | "completed".
+  async createSchedule(
+    userId,
+    { flowId, label, data, rule, nextRunAt, scheduleId = ID.unique() }
+  ) {
+    try {
+      if (!userId || !flowId || !data || !rule || !nextRunAt) {
+        throw new Error(
+          "userId, flowId, data, rule and nextRunAt are required"
+        );
+      }
+      return await databases.createDocument(
+        DATABASE_ID,
+        COLLECTIONS.SCHEDULES,
+        scheduleId,
+        {
+          userId,
+          flowId,
+          label,
+          data,
+          rule,
+          nextRunAt,
+          status: "active",
+          lastRunAt: null,
+          lastStatus: null,
+          createdAt: new Date().toISOString(),
+        }
+      );
+    } catch (error) {
+      console.error("createSchedule Error:", error);
+      throw error;
+    }
+  }
+
+  async getSchedule(scheduleId) {
+    try {
+      return await databases.getDocument(
+        DATABASE_ID,
+        COLLECTIONS.SCHEDULES,
+        scheduleId
+      );
+    } catch (error) {
+      if (error.code === 404) return null;
+      console.error("getSchedule Error:", error);
+      throw error;
+    }
+  }
+
+  // Active and paused ones; completed one-offs drop out of the list
+  async getUserSchedules(userId) {
+    try {
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.SCHEDULES,
+        [
+          Query.equal("userId", userId),
+          Query.notEqual("status", "completed"),
+          Query.orderAsc("nextRunAt"),
+          Query.limit(50),
+        ]
+      );
+      return response.documents;
+    } catch (error) {
+      console.error("getUserSchedules Error:", error);
+      throw error;
+    }
+  }
+
+  async getDueSchedules(now = new Date(), limit = 50) {
+    try {
+      const response = await databases.listDocuments(
+        DATABASE_ID,
+        COLLECTIONS.SCHEDULES,
+        [
+          Query.equal("status", "active"),
+          Query.lessThanEqual("nextRunAt", now.toISOString()),
+          Query.orderAsc("nextRunAt"),
+          Query.limit(limit),
+        ]
+      );
+      return response.documents;
+    } catch (error) {
+      console.error("getDueSchedules Error:", error);
+      throw error;
+    }
+  }
+
+  async updateSchedule(scheduleId, updates) {
+    try {
+      return await databases.updateDocument(
+        DATABASE_ID,
+        COLLECTIONS.SCHEDULES,
+        scheduleId,
+        updates
+      );
+    } catch (error) {
+      console.error("updateSchedule Error:", error);
+      throw error;
+    }
+  }
+
+  async deleteSchedule(scheduleId) {
+    try {
+      await databases.deleteDocument(
+        DATABASE_ID,
+        COLLECTIONS.SCHEDULES,
+        scheduleId
+      );
+    } catch (error) {
+      console.error("deleteSchedule Error:", error);
+      throw error;
+    }
+  }
+
+  async createBroadcast(admin, { text, button = null }) {
+    try {
+      if (!admin?.id || !text) throw new Error("admin and text are required");
+      return await databases.createDocument(
+        DATABASE_ID,
+        COLLECTIONS.BROADCASTS,
+        ID.unique(),
+        {
+          adminTelegramId: String(admin.id),
+          text,
+          button: button ? JSON.stringify(button) : null,
+          status: "sending",
+          delivered: 0,
+          blocked: 0,
+          failed: 0,
+          createdAt: new Date().toISOString(),
+        }
+      );
+    } catch (error) {
+      console.error("createBroadcast Error:", error);
+      throw error;
+    }
+  }
+
+  async updateBroadcast(broadcastId, updates) {
+    try {
+      return await databases.updateDocument(
+        DATABASE_ID,
+        COLLECTIONS.BROADCASTS,
+        broadcastId,
+        updates
+      );
+    } catch (error) {
+      console.error("updateBroadcast Error:", error);
+      throw error;
+    }
+  }
+
+  // status: "delivered" | "blocked" | "failed"
+  async recordBroadcastDelivery(broadcastId, user, status, error = "") {
+    try {
+      return await databases.createDocument(
+        DATABASE_ID,
+        COLLECTIONS.BROADCAST_DELIVERIES,
+        ID.unique(),
+        {
+          broadcastId,
+          userId: user.$id,
+          telegramId: user.telegramId,
+          status,
+          error: error.slice(0, 255),
+          createdAt: new Date().toISOString(),
+        }
+      );
+    } catch (err) {
+      console.error("recordBroadcastDelivery Error:", err);
+      throw err;
+    }
+  }
+
+  // Commission earned on successful purchases since `since`, grouped by
+  // day (Lagos time) and VTPass serviceID
+  async getCommissionReport(since) {
+    try {
+      const day = new Intl.DateTimeFormat("en-CA", {
+        timeZone: "Africa/Lagos",
+      });
+      const rows = {};
+      let cursor = null;
+      while (true) {
+        const queries = [
+          Query.greaterThanEqual("createdAt", since.toISOString()),
+          Query.equal("status", "success"),
+          Query.isNotNull("commission"),
+          Query.orderAsc("$id"),
+          Query.limit(100),
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTIONS.TRANSACTIONS,
+          queries
+        );
+        for (const txn of response.documents) {
+          const date = day.format(new Date(txn.createdAt));
+          const service = txn.serviceID || txn.type;
+          const row = (rows[`${date}|${service}`] ||= {
+            date,
+            service,
+            count: 0,
+            sales: 0,
+            commission: 0,
+            cashback: 0,
+          });
+          row.count++;
+          row.sales += parseFloat(txn.amount) || 0;
+          row.commission += parseFloat(txn.commission) || 0;
+          row.cashback += parseFloat(txn.cashback) || 0;
+        }
+        if (response.documents.length < 100) break;
+        cursor = response.documents[response.documents.length - 1].$id;
+      }
+
+      return Object.values(rows).sort(
+        (a, b) =>
+          b.date.localeCompare(a.date) || a.service.localeCompare(b.service)
+      );
+    } catch (error) {
+      console.error("getCommissionReport Error:", error);
+      throw error;
+    }
+  }
+
   async findTransactionByReference(reference) {
     try {
       const res = await databases.listDocuments(
@@ -217,4 +1333,4 @@ class DatabaseService {
   }
 }
 
-export default DatabaseService;
\ No newline at end of file
+export default DatabaseService;
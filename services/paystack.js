@@ -27,6 +27,18 @@ class PaystackService {
     }
   }
 
+  // Who actually paid, from a verified charge: the card's signature (the
+  // same card always gets the same one) or, for transfers, the sender's bank
+  // account. null when Paystack doesn't say.
+  getPaymentSource(data) {
+    const authorization = data?.authorization;
+    if (authorization?.signature) return `card:${authorization.signature}`;
+    if (authorization?.sender_bank_account_number) {
+      return `bank:${authorization.sender_bank}:${authorization.sender_bank_account_number}`;
+    }
+    return null;
+  }
+
   async initializePayment(email, amount, reference) {
     try {
       if (!email || !amount || !reference) {
@@ -98,7 +110,57 @@ class PaystackService {
     }
   }
 
-  // Used for transaction initialization only (POST requests)
+  // Customers are keyed by email; Paystack returns the existing one if the
+  // email is already taken
+  async createCustomer({ email, firstName, lastName, phone }) {
+    try {
+      if (!email) throw new Error("email is required");
+      const response = await this.makeRequest(`${this.baseURL}/customer`, {
+        email,
+        first_name: firstName,
+        last_name: lastName,
+        phone,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error(
+        "Paystack Customer Error:",
+        error.response?.data || error.message
+      );
+      throw new Error("Customer creation failed");
+    }
+  }
+
+  // Assigns a Dedicated Virtual Account (a bank account number only this
+  // customer pays into). Test mode uses Paystack's "test-bank".
+  async createDedicatedAccount(customerCode) {
+    try {
+      if (!customerCode) throw new Error("customerCode is required");
+      const response = await this.makeRequest(
+        `${this.baseURL}/dedicated_account`,
+        {
+          customer: customerCode,
+          preferred_bank:
+            process.env.PAYSTACK_DVA_BANK ||
+            (this.isTestMode ? "test-bank" : "wema-bank"),
+        }
+      );
+
+      if (this.isTestMode) {
+        console.log("🧪 Test Dedicated Account:", response.data);
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error(
+        "Paystack Dedicated Account Error:",
+        error.response?.data || error.message
+      );
+      throw new Error("Dedicated account creation failed");
+    }
+  }
+
+  // Used for POST requests (transactions, customers, dedicated accounts)
   async makeRequest(url, data) {
     const maxRetries = 3;
     let attempt = 0;
@@ -182,4 +244,4 @@ class PaystackService {
   }
 }
 
-export default PaystackService;
\ No newline at end of file
+export default PaystackService;
@@ -0,0 +1,97 @@
+// services/pdf.js
+// A small PDF writer for plain text documents like statements and receipts:
+// monospaced lines on A4 (or smaller) pages, no external library or
+// service. Courier keeps columns lined up. Only Latin-1 prints, anything
+// else (₦, emoji) becomes "?", so callers write NGN instead of ₦.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, "\\$&");
+}
+
+// How many characters fit on a line at this font size
+function lineWidth(fontSize = 8, pageWidth = PAGE_WIDTH) {
+  return Math.floor((pageWidth - 2 * MARGIN) / (fontSize * 0.6));
+}
+
+// lines: strings, or { text, bold, size } for headings. "\f" starts a new
+// page. width/height set a smaller page, e.g. for receipts.
+// Returns the document as a Buffer.
+function textPdf(
+  lines,
+  { fontSize = 8, width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}
+) {
+  // Lay the lines out top to bottom, each one as far down as its size needs
+  const pages = [[]];
+  let y = height - MARGIN;
+  for (const line of lines) {
+    const entry = typeof line === "string" ? { text: line } : line;
+    const size = entry.size || fontSize;
+    const leading = Math.round(size * 1.4);
+    if (entry.text === "\f" || y - leading < MARGIN) {
+      pages.push([]);
+      y = height - MARGIN;
+      if (entry.text === "\f") continue;
+    }
+    y -= leading;
+    pages[pages.length - 1].push({ ...entry, size, y });
+  }
+
+  // Objects 1-4 are fixed; each page then takes a page and a content object
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    null, // the page tree, filled in once the page ids are known
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  const pageIds = [];
+  for (const [index, page] of pages.entries()) {
+    const content = page.map(
+      ({ text, bold, size, y }) =>
+        `BT /${bold ? "F2" : "F1"} ${size} Tf ${MARGIN} ${y} Td (${escapeText(
+          text
+        )}) Tj ET`
+    );
+    if (pages.length > 1) {
+      content.push(
+        `BT /F1 ${fontSize} Tf ${width - MARGIN - 60} ${MARGIN / 2} Td (Page ${
+          index + 1
+        } of ${pages.length}) Tj ET`
+      );
+    }
+    const stream = content.join("\n");
+    const contentId = objects.length + 2;
+    pageIds.push(objects.length + 1);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(
+        stream,
+        "latin1"
+      )} >>\nstream\n${stream}\nendstream`
+    );
+  }
+  objects[1] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pageIds.length} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  for (const [index, object] of objects.entries()) {
+    offsets.push(Buffer.byteLength(pdf, "latin1"));
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("")}trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+export { textPdf, lineWidth };
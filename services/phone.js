@@ -0,0 +1,38 @@
+// services/phone.js
+// Nigerian phone numbers: normalising the ways people type them and
+// guessing the network from the prefix.
+import { SUPPORTED_NETWORKS, NETWORK_PREFIXES } from "../config/products.js";
+
+// Longest first so 5-digit prefixes are tried before 4-digit ones
+const PREFIX_TABLE = Object.entries(NETWORK_PREFIXES)
+  .flatMap(([network, prefixes]) =>
+    prefixes.map((prefix) => ({ prefix, network }))
+  )
+  .sort((a, b) => b.prefix.length - a.prefix.length);
+
+// "0803 123 4567", "+2348031234567", "2348031234567" and "8031234567" all
+// become "08031234567". Returns null for anything that isn't a Nigerian
+// mobile number.
+function normalizePhone(input) {
+  let digits = String(input ?? "").replace(/\D/g, "");
+  if (digits.startsWith("234")) digits = digits.slice(3);
+  if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1);
+  if (!/^[789][01]\d{8}$/.test(digits)) return null;
+  return `0${digits}`;
+}
+
+// "08031234567" -> "2348031234567"
+function toInternational(phone) {
+  const local = normalizePhone(phone);
+  return local ? `234${local.slice(1)}` : null;
+}
+
+// The SUPPORTED_NETWORKS entry the prefix belongs to, or null
+function detectNetwork(phone) {
+  const local = normalizePhone(phone);
+  if (!local) return null;
+  const match = PREFIX_TABLE.find(({ prefix }) => local.startsWith(prefix));
+  return match ? SUPPORTED_NETWORKS[match.network] : null;
+}
+
+export { normalizePhone, toInternational, detectNetwork };
@@ -0,0 +1,190 @@
+// services/pin.js
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const RESET_CODE_MINUTES = 10;
+const RESET_CODE_ATTEMPTS = 3;
+const RESET_RESEND_SECONDS = 60;
+
+// Stored on the USERS document: pinHash, pinFailedAttempts, pinLockedUntil,
+// verifiedPhone (captured from the user's own contact at /setpin) and the
+// pending reset code: pinResetHash, pinResetExpiresAt, pinResetAttempts.
+class PinService {
+  constructor(db, { sms } = {}) {
+    if (!db) throw new Error("PinService requires a database service");
+    this.db = db;
+    this.sms = sms;
+    this.maxAttempts = parseInt(process.env.PIN_MAX_ATTEMPTS, 10) || 5;
+    this.lockMinutes = parseInt(process.env.PIN_LOCK_MINUTES, 10) || 30;
+  }
+
+  isValidFormat(pin) {
+    return /^\d{4,6}$/.test(String(pin || "").trim());
+  }
+
+  hasPin(user) {
+    return Boolean(user?.pinHash);
+  }
+
+  getLockedUntil(user) {
+    if (!user?.pinLockedUntil) return null;
+    const until = new Date(user.pinLockedUntil);
+    return until.getTime() > Date.now() ? until : null;
+  }
+
+  async hash(pin) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const derived = await scrypt(String(pin).trim(), salt, 32);
+    return `scrypt$${salt}$${derived.toString("hex")}`;
+  }
+
+  async matches(pin, stored) {
+    const [scheme, salt, expected] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !expected) return false;
+    const derived = await scrypt(String(pin).trim(), salt, 32);
+    return crypto.timingSafeEqual(derived, Buffer.from(expected, "hex"));
+  }
+
+  // An active lock is left alone: a new PIN doesn't shorten the cooldown
+  async setPin(user, pin) {
+    try {
+      if (!this.isValidFormat(pin)) {
+        throw new Error("PIN must be 4 to 6 digits");
+      }
+      return await this.db.updateUser(user.$id, {
+        pinHash: await this.hash(pin),
+        pinFailedAttempts: 0,
+      });
+    } catch (error) {
+      console.error("setPin Error:", error);
+      throw error;
+    }
+  }
+
+  // Returns { ok, lockedUntil, attemptsLeft }. Every wrong entry counts
+  // towards the lock, whichever flow it came from.
+  async verifyPin(user, pin) {
+    try {
+      const lockedUntil = this.getLockedUntil(user);
+      if (lockedUntil) return { ok: false, lockedUntil, attemptsLeft: 0 };
+      if (!this.hasPin(user)) throw new Error("User has no PIN set");
+
+      if (this.isValidFormat(pin) && (await this.matches(pin, user.pinHash))) {
+        if (user.pinFailedAttempts) {
+          await this.db.updateUser(user.$id, {
+            pinFailedAttempts: 0,
+            pinLockedUntil: null,
+          });
+        }
+        return { ok: true, lockedUntil: null, attemptsLeft: this.maxAttempts };
+      }
+
+      const attempts = (user.pinFailedAttempts || 0) + 1;
+      if (attempts >= this.maxAttempts) {
+        const until = new Date(Date.now() + this.lockMinutes * 60 * 1000);
+        await this.db.updateUser(user.$id, {
+          pinFailedAttempts: 0,
+          pinLockedUntil: until.toISOString(),
+        });
+        console.warn(`🔒 PIN locked for user ${user.$id} until ${until}`);
+        return { ok: false, lockedUntil: until, attemptsLeft: 0 };
+      }
+
+      await this.db.updateUser(user.$id, { pinFailedAttempts: attempts });
+      return {
+        ok: false,
+        lockedUntil: null,
+        attemptsLeft: this.maxAttempts - attempts,
+      };
+    } catch (error) {
+      console.error("verifyPin Error:", error);
+      throw error;
+    }
+  }
+
+  canReset(user) {
+    return Boolean(user?.verifiedPhone && this.sms?.isConfigured());
+  }
+
+  // Texts a 6-digit code to verifiedPhone. Anyone holding the Telegram
+  // session can start a reset, but only the phone gets the code. Returns
+  // { sent, retryIn } where retryIn is the seconds to wait before a resend.
+  async sendResetCode(user) {
+    try {
+      if (!this.canReset(user)) throw new Error("PIN reset is not available");
+      const expiresAt = user.pinResetExpiresAt
+        ? new Date(user.pinResetExpiresAt).getTime()
+        : 0;
+      const sentAt = expiresAt - RESET_CODE_MINUTES * 60 * 1000;
+      const retryIn = Math.ceil(
+        (sentAt + RESET_RESEND_SECONDS * 1000 - Date.now()) / 1000
+      );
+      if (retryIn > 0) return { sent: false, retryIn };
+
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+      await this.db.updateUser(user.$id, {
+        pinResetHash: await this.hash(code),
+        pinResetExpiresAt: new Date(
+          Date.now() + RESET_CODE_MINUTES * 60 * 1000
+        ).toISOString(),
+        pinResetAttempts: 0,
+      });
+      await this.sms.send(
+        user.verifiedPhone,
+        `Your PIN reset code is ${code}. It expires in ${RESET_CODE_MINUTES} minutes. Don't share it with anyone.`
+      );
+      return { sent: true, retryIn: RESET_RESEND_SECONDS };
+    } catch (error) {
+      console.error("sendResetCode Error:", error);
+      throw error;
+    }
+  }
+
+  // Returns { ok, attemptsLeft }. A code is single use and dies after
+  // RESET_CODE_ATTEMPTS wrong entries or RESET_CODE_MINUTES.
+  async verifyResetCode(user, code) {
+    try {
+      const expired =
+        !user.pinResetHash ||
+        new Date(user.pinResetExpiresAt).getTime() < Date.now();
+      if (expired) return { ok: false, attemptsLeft: 0 };
+
+      if (
+        /^\d{6}$/.test(code) &&
+        (await this.matches(code, user.pinResetHash))
+      ) {
+        await this.db.updateUser(user.$id, {
+          pinResetHash: null,
+          pinResetAttempts: 0,
+        });
+        return { ok: true, attemptsLeft: 0 };
+      }
+
+      const attempts = (user.pinResetAttempts || 0) + 1;
+      const attemptsLeft = RESET_CODE_ATTEMPTS - attempts;
+      await this.db.updateUser(user.$id, {
+        pinResetAttempts: attempts,
+        ...(attemptsLeft <= 0 && { pinResetHash: null }),
+      });
+      return { ok: false, attemptsLeft: Math.max(attemptsLeft, 0) };
+    } catch (error) {
+      console.error("verifyResetCode Error:", error);
+      throw error;
+    }
+  }
+
+  maskPhone(phone) {
+    return `•••${String(phone).slice(-4)}`;
+  }
+
+  formatLockMessage(lockedUntil) {
+    return `🔒 Too many wrong PIN attempts. Spending is locked until ${lockedUntil.toLocaleTimeString(
+      "en-NG",
+      { timeZone: "Africa/Lagos", hour: "2-digit", minute: "2-digit" }
+    )}.`;
+  }
+}
+
+export default PinService;
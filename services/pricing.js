@@ -0,0 +1,48 @@
+// services/pricing.js
+import { USER_TIERS, PRICING_RULES } from "../config/pricing.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PricingService {
+  constructor(rules = PRICING_RULES) {
+    this.rules = rules;
+  }
+
+  getTier(user) {
+    return USER_TIERS.includes(user?.tier) ? user.tier : "regular";
+  }
+
+  // Most specific rule wins: serviceID + tier, then the product default for
+  // that tier, then the same two for the regular tier. No rule = face value.
+  findRule(type, serviceID, tier) {
+    const product = this.rules[type] || {};
+    const tiers = tier === "regular" ? ["regular"] : [tier, "regular"];
+    for (const t of tiers) {
+      const rule = product[serviceID]?.[t] || product.default?.[t];
+      if (rule) return rule;
+    }
+    return null;
+  }
+
+  // costPrice is what VTPass is asked to deliver (the face value)
+  quote({ type, serviceID, costPrice, user }) {
+    const cost = round(parseFloat(costPrice));
+    if (!(cost > 0)) throw new Error("costPrice must be a positive number");
+
+    const tier = this.getTier(user);
+    const rule = this.findRule(type, serviceID, tier);
+    let selling = cost;
+    if (rule?.percent) selling = cost * (1 + rule.percent / 100);
+    else if (rule?.flat) selling = cost + rule.flat;
+    selling = Math.max(round(selling), 0);
+
+    return {
+      tier,
+      costPrice: cost,
+      sellingPrice: selling,
+      margin: round(selling - cost),
+    };
+  }
+}
+
+export default PricingService;
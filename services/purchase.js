@@ -0,0 +1,191 @@
+// services/purchase.js
+import { setTimeout } from "timers/promises";
+import {
+  getElectricityToken,
+  getEducationPins,
+  REQUEST_TIMEOUT_MS,
+} from "./vtpass.js";
+
+const REFERENCE_PREFIXES = {
+  airtime: "AIRTIME",
+  data: "DATA",
+  electricity: "ELEC",
+  tv: "TV",
+  education: "EDU",
+};
+
+const MAX_ATTEMPTS = 3;
+
+// The longest callProvider can run: every attempt and the requery after it
+// time out, plus the backoff in between. Until then a pending purchase may
+// still be execute()'s to settle.
+const PROVIDER_WINDOW_MS =
+  MAX_ATTEMPTS * 2 * REQUEST_TIMEOUT_MS +
+  (Math.pow(2, MAX_ATTEMPTS) - 2) * 1000;
+
+const TRANSACTION_STATUS = {
+  delivered: "success",
+  failed: "failed",
+  pending: "pending",
+};
+
+class PurchaseService {
+  constructor({ db, vtpass, refunds, referrals, pricing, cashback }) {
+    if (!db || !vtpass || !refunds) {
+      throw new Error("PurchaseService requires db, vtpass and refunds");
+    }
+    this.db = db;
+    this.vtpass = vtpass;
+    this.refunds = refunds;
+    this.referrals = referrals;
+    this.pricing = pricing;
+    this.cashback = cashback;
+    this.maxAttempts = MAX_ATTEMPTS;
+  }
+
+  getQuote({ user, type, serviceID, amount }) {
+    if (this.pricing) {
+      return this.pricing.quote({ type, serviceID, costPrice: amount, user });
+    }
+    return { costPrice: amount, sellingPrice: amount, margin: 0 };
+  }
+
+  // Runs one wallet-funded VTPass purchase end to end. The transaction
+  // document is written as pending with its request_id before any money
+  // moves, so a crash at any point leaves something the requery worker can
+  // resolve with the same id.
+  //
+  // `purchase` receives the request_id and makes the actual vtpass.* call.
+  // `amount` is the face value sent to VTPass; the wallet is debited the
+  // selling price from `quote` (priced here when the caller didn't already
+  // show the user one). A fixed `transactionId` makes the run idempotent:
+  // a second execute with the same id fails with 409 before any debit.
+  async execute({
+    user,
+    type,
+    serviceID,
+    amount,
+    quote,
+    details = {},
+    purchase,
+    transactionId,
+  }) {
+    if (!user?.$id || !type || !amount || !purchase) {
+      throw new Error("user, type, amount and purchase are required");
+    }
+    if (user.frozen) throw new Error("Account is frozen");
+
+    const price = quote || this.getQuote({ user, type, serviceID, amount });
+    const requestId = this.vtpass.generateRequestId();
+    const reference = `${REFERENCE_PREFIXES[type] || type.toUpperCase()}_${
+      user.$id
+    }_${Date.now()}`;
+    const baseDetails = {
+      reference,
+      requestId,
+      serviceID,
+      costPrice: price.costPrice,
+      sellingPrice: price.sellingPrice,
+      margin: price.margin,
+      ...details,
+    };
+
+    const transaction = await this.db.createTransaction(
+      user.$id,
+      type,
+      price.sellingPrice,
+      baseDetails,
+      "pending",
+      transactionId
+    );
+
+    try {
+      await this.db.updateWalletBalance(
+        user.$id,
+        price.sellingPrice,
+        "debit",
+        reference
+      );
+    } catch (error) {
+      await this.db.updateTransaction(transaction.$id, {
+        status: "failed",
+        details: JSON.stringify({ ...baseDetails, error: error.message }),
+      });
+      throw error;
+    }
+
+    const result = await this.callProvider(purchase, requestId);
+    const transactionStatus = result
+      ? TRANSACTION_STATUS[this.vtpass.getTransactionStatus(result)]
+      : "pending";
+
+    const updated = await this.db.updateTransaction(transaction.$id, {
+      status: transactionStatus,
+      details: JSON.stringify({
+        ...baseDetails,
+        ...(result || {}),
+        ...(type === "electricity" ? getElectricityToken(result) : {}),
+        ...(type === "education" ? { pins: getEducationPins(result) } : {}),
+        requestId,
+        transactionId: result?.content?.transactions?.transactionId || null,
+      }),
+    });
+
+    let cashback = 0;
+    if (transactionStatus === "success") {
+      cashback = (await this.cashback?.recordCommission(updated, result)) || 0;
+      await this.referrals?.rewardReferrer(user.$id, "purchase");
+    }
+
+    let refund = null;
+    if (transactionStatus === "failed") {
+      refund = await this.refunds.refundTransaction(
+        updated,
+        result.response_description,
+        { notify: false }
+      );
+    }
+
+    return {
+      transaction: updated,
+      result: result || {},
+      transactionStatus,
+      refund,
+      cashback,
+    };
+  }
+
+  // Retries reuse the same request_id. Before sending again we requery it,
+  // so an attempt that reached VTPass but lost its response is picked up
+  // instead of being paid for twice. Returns null when the outcome is still
+  // unknown, which leaves the purchase pending.
+  async callProvider(purchase, requestId) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        return await purchase(requestId);
+      } catch (error) {
+        console.error(
+          `VTPass Purchase Error (attempt ${attempt}, ${requestId}):`,
+          error.message
+        );
+      }
+
+      try {
+        const requery = await this.vtpass.requeryTransaction(requestId);
+        if (!this.vtpass.isUnknownRequest(requery)) return requery;
+      } catch (error) {
+        console.error(`VTPass Requery Error (${requestId}):`, error.message);
+        // Can't tell whether the last attempt landed, so don't risk another
+        return null;
+      }
+
+      if (attempt < this.maxAttempts) {
+        await setTimeout(Math.pow(2, attempt) * 1000);
+      }
+    }
+    return null;
+  }
+}
+
+export default PurchaseService;
+export { PROVIDER_WINDOW_MS };
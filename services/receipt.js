@@ -0,0 +1,104 @@
+// services/receipt.js
+// Shareable receipts for successful purchases, rendered locally as a small
+// one-page PDF. Exam PINs are left off on purpose: a receipt is meant to be
+// passed on, the PINs aren't.
+import { textPdf, lineWidth } from "./pdf.js";
+
+const RECEIPT_TYPES = ["airtime", "data", "electricity", "tv", "education"];
+const PAGE = { width: 300, height: 460 };
+const FONT_SIZE = 9;
+const LABEL_WIDTH = 14;
+
+// One line per product kind, from the transaction details
+const PRODUCTS = {
+  airtime: (details) => `${details.network} airtime`,
+  data: (details) => `${details.network} data - ${details.plan}`,
+  electricity: (details) =>
+    `${details.provider}${details.meterType ? ` (${details.meterType})` : ""}`,
+  tv: (details) =>
+    `${details.provider} - ${details.plan || "subscription"}${
+      details.subscriptionType === "renew" ? " (renewal)" : ""
+    }`,
+  education: (details) =>
+    `${details.service} - ${details.plan}${
+      details.quantity > 1 ? ` x${details.quantity}` : ""
+    }`,
+};
+
+function receiptButton(transactionId) {
+  return { text: "🧾 Receipt", callback_data: `receipt_${transactionId}` };
+}
+
+function isReceiptable(transaction) {
+  return (
+    RECEIPT_TYPES.includes(transaction?.type) &&
+    transaction.status === "success"
+  );
+}
+
+class ReceiptService {
+  constructor({ brand } = {}) {
+    this.brand = brand || process.env.RECEIPT_BRAND || "VTU Bot";
+  }
+
+  // [label, value] pairs, empty values dropped
+  getFields(transaction, details) {
+    const date = new Date(
+      new Date(transaction.createdAt).getTime() + 60 * 60 * 1000
+    )
+      .toISOString()
+      .slice(0, 16)
+      .replace("T", " ");
+    return [
+      ["Status", "SUCCESSFUL"],
+      ["Date", `${date} WAT`],
+      ["Reference", transaction.reference],
+      ["Product", PRODUCTS[transaction.type](details)],
+      [
+        transaction.type === "electricity"
+          ? "Meter"
+          : transaction.type === "tv"
+          ? "Card/account"
+          : "Recipient",
+        details.meter || details.card || details.phone,
+      ],
+      ["Profile ID", details.profileId],
+      ["Customer", details.customerName],
+      ["Address", details.customerAddress],
+      ["Amount paid", `NGN ${parseFloat(transaction.amount).toFixed(2)}`],
+      ["Token", details.token],
+      ["Units", details.units],
+      ["Provider ref", details.transactionId],
+    ].filter(([, value]) => value);
+  }
+
+  render(transaction, details) {
+    const width = lineWidth(FONT_SIZE, PAGE.width);
+    const valueWidth = width - LABEL_WIDTH;
+    const rule = "-".repeat(width);
+
+    const lines = [
+      { text: this.brand, bold: true, size: 14 },
+      "Payment receipt",
+      rule,
+    ];
+    for (const [label, value] of this.getFields(transaction, details)) {
+      // Long values (references, tokens) wrap under their label
+      const text = String(value);
+      for (let i = 0; i < text.length; i += valueWidth) {
+        lines.push({
+          text: `${(i ? "" : label).padEnd(LABEL_WIDTH)}${text.slice(
+            i,
+            i + valueWidth
+          )}`,
+          bold: label === "Token",
+        });
+      }
+    }
+    lines.push(rule, "Thank you for your purchase.");
+    return textPdf(lines, { fontSize: FONT_SIZE, ...PAGE });
+  }
+}
+
+export default ReceiptService;
+export { receiptButton, isReceiptable };
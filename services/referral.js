@@ -0,0 +1,164 @@
+// services/referral.js
+import crypto from "crypto";
+
+// USERS fields: referralCode, referredBy (the referrer's user $id),
+// referredAt and referralRewardedAt. The bonus check also reads
+// fundingSources, which DatabaseService.addFundingSource keeps up to date.
+class ReferralService {
+  constructor(db, bot) {
+    if (!db || !bot) {
+      throw new Error("ReferralService requires a database service and a bot");
+    }
+    this.db = db;
+    this.bot = bot;
+    this.bonus = parseFloat(process.env.REFERRAL_BONUS) || 100;
+    this.botUsername = process.env.TELEGRAM_BOT_USERNAME || null;
+  }
+
+  parseStartParam(param) {
+    const match = /^ref_([A-Z0-9]{6,12})$/i.exec(param || "");
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  // Codes are created the first time someone asks for their link
+  async getReferralCode(user) {
+    if (user.referralCode) return user.referralCode;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = crypto.randomBytes(4).toString("hex").toUpperCase();
+      if (await this.db.findUserByReferralCode(code)) continue;
+      await this.db.updateUser(user.$id, { referralCode: code });
+      return code;
+    }
+    throw new Error("Could not generate a unique referral code");
+  }
+
+  async getReferralLink(user) {
+    if (!this.botUsername) {
+      this.botUsername = (await this.bot.getMe()).username;
+    }
+    const code = await this.getReferralCode(user);
+    return `https://t.me/${this.botUsername}?start=ref_${code}`;
+  }
+
+  // Only accounts created by this very /start can be referred, which stops
+  // existing users from attaching themselves to a referrer later. Returns the
+  // referrer, or null when the referral was rejected.
+  async recordReferral(user, code, { isNewUser }) {
+    try {
+      if (!isNewUser || user.referredBy) return null;
+
+      const referrer = await this.db.findUserByReferralCode(code);
+      if (!referrer) return null;
+      if (
+        referrer.$id === user.$id ||
+        referrer.telegramId === user.telegramId
+      ) {
+        console.warn(`⚠️ Self-referral blocked for user ${user.$id}`);
+        return null;
+      }
+
+      await this.db.updateUser(user.$id, {
+        referredBy: referrer.$id,
+        referredAt: new Date().toISOString(),
+      });
+      console.log(`🤝 User ${user.$id} referred by ${referrer.$id}`);
+      return referrer;
+    } catch (error) {
+      console.error("recordReferral Error:", error);
+      throw error;
+    }
+  }
+
+  // One bonus per referred user: the bonus transaction id is derived from the
+  // referred user's id, so a second qualifying event is rejected with 409.
+  getBonusDocumentId(userId) {
+    return `refbonus_${userId}`;
+  }
+
+  // Called after a successful funding or purchase. The referred account can
+  // be the referrer's own second Telegram, so the bonus waits until it has
+  // been funded from a card or bank account the referrer never used. Fundings
+  // from before payment sources were recorded don't count on either side.
+  // Failures are logged and swallowed so they never affect the payment that
+  // triggered them.
+  async rewardReferrer(userId, trigger) {
+    try {
+      const user = await this.db.getUserById(userId);
+      if (!user?.referredBy || user.referralRewardedAt) return null;
+
+      const referrer = await this.db.getUserById(user.referredBy);
+      if (!referrer) return null;
+      if (
+        referrer.verifiedPhone &&
+        referrer.verifiedPhone === user.verifiedPhone
+      ) {
+        console.warn(
+          `⚠️ Referral bonus withheld: ${user.$id} shares a phone with referrer ${referrer.$id}`
+        );
+        return null;
+      }
+
+      const referrerSources = referrer.fundingSources || [];
+      const paidBySomeoneElse = (user.fundingSources || []).some(
+        (source) => !referrerSources.includes(source)
+      );
+      if (!paidBySomeoneElse) return null;
+
+      let bonus;
+      try {
+        bonus = await this.db.createTransaction(
+          referrer.$id,
+          "referral_bonus",
+          this.bonus,
+          {
+            reference: `REFBONUS_${user.$id}`,
+            referredUserId: user.$id,
+            trigger,
+          },
+          "pending",
+          this.getBonusDocumentId(user.$id)
+        );
+      } catch (error) {
+        if (error.code === 409) return null;
+        throw error;
+      }
+
+      await this.db.updateWalletBalance(
+        referrer.$id,
+        this.bonus,
+        "credit",
+        bonus.reference
+      );
+      await this.db.updateTransaction(bonus.$id, { status: "success" });
+      await this.db.updateUser(user.$id, {
+        referralRewardedAt: new Date().toISOString(),
+      });
+      console.log(
+        `🎁 Referral bonus ₦${this.bonus} paid to ${referrer.$id} for ${user.$id}`
+      );
+
+      await this.bot
+        .sendMessage(
+          referrer.telegramId,
+          `🎁 ${user.firstName} just ${
+            trigger === "funding" ? "funded their wallet" : "made a purchase"
+          }. ₦${this.bonus.toFixed(2)} referral bonus added to your wallet!`
+        )
+        .catch((error) => console.error("Referral notification Error:", error));
+      return bonus;
+    } catch (error) {
+      console.error("rewardReferrer Error:", error);
+      return null;
+    }
+  }
+
+  async getSummary(user) {
+    const [link, stats] = await Promise.all([
+      this.getReferralLink(user),
+      this.db.getReferralStats(user.$id),
+    ]);
+    return { link, ...stats };
+  }
+}
+
+export default ReferralService;
@@ -0,0 +1,114 @@
+// services/refund.js
+import { PRODUCT_LABELS } from "../config/products.js";
+
+class RefundService {
+  constructor(db, bot) {
+    if (!db || !bot) {
+      throw new Error("RefundService requires a database service and a bot");
+    }
+    this.db = db;
+    this.bot = bot;
+  }
+
+  // One refund per purchase: the refund document id is derived from the
+  // original transaction id, so Appwrite rejects a second attempt with 409.
+  getRefundDocumentId(transaction) {
+    return `refund_${transaction.$id}`;
+  }
+
+  async refundTransaction(transaction, reason = "", { notify = true } = {}) {
+    try {
+      if (!transaction?.$id || !transaction.reference) {
+        throw new Error("A saved transaction with a reference is required");
+      }
+      if (transaction.type === "refund" || transaction.type === "credit") {
+        throw new Error(`Cannot refund a ${transaction.type} transaction`);
+      }
+      if (transaction.status === "refunded") {
+        console.log("🛑 Transaction already refunded:", transaction.reference);
+        return null;
+      }
+
+      // Only give back what actually left the wallet. A purchase that was
+      // recorded but never debited (e.g. a crash in between) has nothing to
+      // refund.
+      const debit = await this.db.findLedgerEntry(
+        transaction.reference,
+        "debit"
+      );
+      if (!debit) {
+        console.warn(
+          "⚠️ No wallet debit found, nothing to refund:",
+          transaction.reference
+        );
+        return null;
+      }
+
+      const amount = parseFloat(debit.amount);
+      let refund;
+      try {
+        refund = await this.db.createTransaction(
+          transaction.userId,
+          "refund",
+          amount,
+          {
+            reference: `REFUND_${transaction.reference}`,
+            originalReference: transaction.reference,
+            originalTransactionId: transaction.$id,
+            originalType: transaction.type,
+            reason,
+          },
+          "pending",
+          this.getRefundDocumentId(transaction)
+        );
+      } catch (error) {
+        if (error.code === 409) {
+          console.log("🛑 Duplicate refund blocked:", transaction.reference);
+          return null;
+        }
+        throw error;
+      }
+
+      await this.db.updateWalletBalance(
+        transaction.userId,
+        amount,
+        "credit",
+        refund.reference
+      );
+      await this.db.updateTransaction(refund.$id, { status: "success" });
+      await this.db.updateTransaction(transaction.$id, { status: "refunded" });
+
+      console.log(
+        `💸 Refunded ₦${amount} for ${transaction.reference} to user ${transaction.userId}`
+      );
+
+      if (notify) await this.notifyUser(transaction, amount);
+      return refund;
+    } catch (error) {
+      console.error("refundTransaction Error:", error);
+      throw error;
+    }
+  }
+
+  async notifyUser(transaction, amount) {
+    try {
+      const user = await this.db.getUserById(transaction.userId);
+      if (!user) return;
+
+      const label = PRODUCT_LABELS[transaction.type] || "purchase";
+      await this.bot.sendMessage(
+        user.telegramId,
+        `💸 ₦${amount.toFixed(
+          2
+        )} has been refunded to your wallet for the failed ${label}.\nRef: ${
+          transaction.reference
+        }`
+      );
+    } catch (error) {
+      // The refund itself went through, a failed notification shouldn't undo that
+      console.error("Refund notification Error:", error);
+    }
+  }
+}
+
+export default RefundService;
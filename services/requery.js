@@ -0,0 +1,208 @@
+// services/requery.js
+import { PURCHASE_TYPES, PRODUCT_LABELS } from "../config/products.js";
+import { getElectricityToken, getEducationPins } from "./vtpass.js";
+import { formatToken } from "../flows/electricity.js";
+import { formatPins } from "../flows/education.js";
+import { receiptButton } from "./receipt.js";
+import { PROVIDER_WINDOW_MS } from "./purchase.js";
+
+const PAGE_SIZE = 50;
+
+class RequeryWorker {
+  constructor({ db, vtpass, refunds, bot, referrals, cashback }, options = {}) {
+    if (!db || !vtpass || !refunds || !bot) {
+      throw new Error("RequeryWorker requires db, vtpass, refunds and bot");
+    }
+    this.db = db;
+    this.vtpass = vtpass;
+    this.refunds = refunds;
+    this.bot = bot;
+    this.referrals = referrals;
+    this.cashback = cashback;
+
+    this.interval =
+      options.interval ||
+      parseInt(process.env.REQUERY_INTERVAL_MS, 10) ||
+      2 * 60 * 1000;
+    // VTPass can sit on a transaction for a while, but not forever. Past this
+    // age a still-pending purchase is treated as failed and refunded.
+    this.maxAge =
+      options.maxAge ||
+      parseInt(process.env.REQUERY_MAX_AGE_MS, 10) ||
+      24 * 60 * 60 * 1000;
+    // Purchases younger than this may still be inside execute()'s retries,
+    // where a requery can answer "unknown request" for one that then lands.
+    // A few minutes of slack covers the database writes around the calls.
+    this.minAge = options.minAge || PROVIDER_WINDOW_MS + 5 * 60 * 1000;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.interval);
+    console.log(`🔁 Requery worker started (every ${this.interval / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      // Every page, not just the oldest: purchases that keep getting skipped
+      // (no request_id, still pending at VTPass) mustn't crowd out the rest.
+      // Ones too young to requery are left out of the query. Pages are read
+      // before anything is resolved so the cursor isn't moving underneath.
+      const before = new Date(Date.now() - this.minAge).toISOString();
+      const pending = [];
+      let cursor = null;
+      while (true) {
+        const page = await this.db.getPendingTransactions(PURCHASE_TYPES, {
+          before,
+          cursor,
+          limit: PAGE_SIZE,
+        });
+        pending.push(...page);
+        if (page.length < PAGE_SIZE) break;
+        cursor = page[page.length - 1].$id;
+      }
+
+      for (const transaction of pending) {
+        try {
+          await this.resolve(transaction);
+        } catch (error) {
+          console.error(
+            `Requery Error for ${transaction.reference}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Requery Worker Error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async resolve(transaction) {
+    const details = this.db.parseTransactionDetails(transaction);
+    const age = Date.now() - new Date(transaction.createdAt).getTime();
+    if (age < this.minAge) return;
+
+    if (!details.requestId) {
+      console.warn(
+        `⚠️ Pending ${transaction.type} ${transaction.reference} has no request_id, skipping requery`
+      );
+      return;
+    }
+
+    const result = await this.vtpass.requeryTransaction(details.requestId);
+    let status = this.vtpass.getTransactionStatus(result);
+    let reason = result.response_description || "Unknown error";
+
+    if (status === "pending") {
+      if (age < this.maxAge) return;
+      console.warn(
+        `⏰ ${transaction.reference} still pending after ${Math.round(
+          age / 60000
+        )} minutes, failing it`
+      );
+      status = "failed";
+      reason = "No confirmation from the provider";
+    }
+
+    const resolvedDetails = {
+      ...details,
+      requery: result,
+      transactionId:
+        result.content?.transactions?.transactionId || details.transactionId,
+      ...(transaction.type === "electricity"
+        ? getElectricityToken(result)
+        : {}),
+      ...(transaction.type === "education"
+        ? { pins: getEducationPins(result) }
+        : {}),
+    };
+
+    if (status === "delivered") {
+      const delivered = await this.db.updateTransaction(transaction.$id, {
+        status: "success",
+        details: JSON.stringify(resolvedDetails),
+      });
+      await this.cashback?.recordCommission(delivered, result);
+      await this.notify(
+        transaction,
+        `✅ Your pending ${
+          PRODUCT_LABELS[transaction.type]
+        } has been delivered${this.describe(
+          transaction.type,
+          details
+        )}.${formatToken(resolvedDetails)}${formatPins(
+          resolvedDetails.pins
+        )}\nRef: ${transaction.reference}`,
+        {
+          reply_markup: { inline_keyboard: [[receiptButton(transaction.$id)]] },
+        }
+      );
+      console.log(`✅ Requery resolved ${transaction.reference} as delivered`);
+      await this.referrals?.rewardReferrer(transaction.userId, "purchase");
+      return;
+    }
+
+    const failed = await this.db.updateTransaction(transaction.$id, {
+      status: "failed",
+      details: JSON.stringify(resolvedDetails),
+    });
+    // One message for both: the refund's own notice is turned off
+    const refund = await this.refunds.refundTransaction(failed, reason, {
+      notify: false,
+    });
+    await this.notify(
+      transaction,
+      `❌ Your pending ${PRODUCT_LABELS[transaction.type]}${this.describe(
+        transaction.type,
+        details
+      )} could not be completed: ${reason}${
+        refund
+          ? `\n💸 ₦${parseFloat(refund.amount).toFixed(
+              2
+            )} has been refunded to your wallet.`
+          : ""
+      }\nRef: ${transaction.reference}`
+    );
+    console.log(`❌ Requery resolved ${transaction.reference} as failed`);
+  }
+
+  describe(type, details) {
+    if (type === "airtime" || type === "data") {
+      return details.phone ? ` to ${details.phone}` : "";
+    }
+    if (type === "electricity") {
+      return details.meter ? ` for meter ${details.meter}` : "";
+    }
+    if (type === "tv") {
+      return details.card ? ` for card ${details.card}` : "";
+    }
+    if (type === "education") {
+      return details.service ? ` (${details.service})` : "";
+    }
+    return "";
+  }
+
+  async notify(transaction, message, options = {}) {
+    try {
+      const user = await this.db.getUserById(transaction.userId);
+      if (user) await this.bot.sendMessage(user.telegramId, message, options);
+    } catch (error) {
+      console.error("Requery notification Error:", error);
+    }
+  }
+}
+
+export default RequeryWorker;
@@ -0,0 +1,269 @@
+// services/scheduler.js
+// Scheduled and recurring purchases. A schedule stores the answers of a
+// purchase flow (SCHEDULES.data) plus when to repeat them; the worker loop
+// replays due ones through the same flow definition and PurchaseService.
+//
+// A run never happens twice: its transaction gets a document id made from the
+// schedule id and the slot it was due for, so after a crash or restart the
+// second attempt fails with 409 and the schedule just moves on.
+import { createHash } from "crypto";
+import { FlowAbortError } from "../flows/engine.js";
+import {
+  SCHEDULE_STEPS,
+  computeNextRun,
+  describeRule,
+  formatLagos,
+  getScheduleRule,
+} from "../flows/schedule.js";
+
+class Scheduler {
+  constructor({ db, bot, vtpass, purchases, flows = [] }, options = {}) {
+    if (!db || !bot || !vtpass || !purchases) {
+      throw new Error("Scheduler requires db, bot, vtpass and purchases");
+    }
+    this.db = db;
+    this.bot = bot;
+    this.vtpass = vtpass;
+    this.purchases = purchases;
+    this.flows = new Map(flows.map((flow) => [flow.id, flow]));
+
+    this.interval =
+      options.interval ||
+      parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) ||
+      60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // The steps, rule and wording the flow engine uses for the confirm screen
+  get steps() {
+    return SCHEDULE_STEPS;
+  }
+
+  describe(data) {
+    const rule = getScheduleRule(data);
+    const nextRunAt = computeNextRun(rule);
+    return [
+      ["🗓 Schedule", describeRule(rule)],
+      ["⏭ First run", nextRunAt ? formatLagos(nextRunAt) : "time has passed"],
+    ];
+  }
+
+  // Back to a one-time purchase
+  clear(data) {
+    for (const key of Object.keys(SCHEDULE_STEPS)) delete data[key];
+  }
+
+  // data: the flow's answers including the schedule steps. scheduleId makes
+  // saving the same confirm screen twice fail with 409.
+  async create(user, flow, data, { scheduleId } = {}) {
+    const rule = getScheduleRule(data);
+    const nextRunAt = computeNextRun(rule);
+    if (!nextRunAt) {
+      throw new FlowAbortError(
+        "❌ That time has already passed. Please schedule it again."
+      );
+    }
+
+    const answers = { ...data };
+    this.clear(answers);
+
+    const summary = flow.confirm
+      .summary(answers)
+      .map(([, value]) => value)
+      .join(" · ");
+    return this.db.createSchedule(user.$id, {
+      flowId: flow.id,
+      label: `${flow.confirm.failureLabel}: ${summary}`,
+      data: JSON.stringify(answers),
+      rule: JSON.stringify(rule),
+      nextRunAt: nextRunAt.toISOString(),
+      scheduleId,
+    });
+  }
+
+  async pause(schedule) {
+    return this.db.updateSchedule(schedule.$id, { status: "paused" });
+  }
+
+  // Missed runs are skipped: it picks up from the next slot after now.
+  // Returns null for a one-off whose date has passed.
+  async resume(schedule) {
+    const nextRunAt = computeNextRun(JSON.parse(schedule.rule));
+    if (!nextRunAt) return null;
+    return this.db.updateSchedule(schedule.$id, {
+      status: "active",
+      nextRunAt: nextRunAt.toISOString(),
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+    console.log(`🗓 Scheduler started (every ${this.interval / 1000}s)`);
+    this.timer = setInterval(() => this.runOnce(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runOnce() {
+    // A slow run shouldn't overlap with the next tick
+    if (this.running) return;
+    this.running = true;
+    try {
+      const due = await this.db.getDueSchedules(new Date());
+      for (const schedule of due) {
+        try {
+          await this.run(schedule);
+        } catch (error) {
+          console.error(`Scheduler Error (${schedule.$id}):`, error);
+        }
+      }
+    } catch (error) {
+      console.error("Scheduler Error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Appwrite ids max out at 36 characters and refunds and cashback prefix
+  // the purchase id (refund_<id>, cashback_<id>), so this stays at 20 like
+  // ID.unique()
+  getRunDocumentId(schedule) {
+    const slot = new Date(schedule.nextRunAt).getTime();
+    return createHash("sha256")
+      .update(`${schedule.$id}:${slot}`)
+      .digest("hex")
+      .slice(0, 20);
+  }
+
+  async run(schedule) {
+    const rule = JSON.parse(schedule.rule);
+    const outcome = await this.attempt(schedule);
+
+    // From now, not from the slot that was due: after downtime the missed
+    // slots are skipped, same as resume()
+    const nextRunAt = computeNextRun(
+      rule,
+      new Date(Math.max(Date.now(), new Date(schedule.nextRunAt).getTime()))
+    );
+    await this.db.updateSchedule(schedule.$id, {
+      lastRunAt: new Date().toISOString(),
+      lastStatus: outcome.status,
+      ...(nextRunAt
+        ? { nextRunAt: nextRunAt.toISOString() }
+        : { status: "completed" }),
+    });
+
+    if (outcome.message) {
+      const next = nextRunAt ? `\nNext run: ${formatLagos(nextRunAt)}` : "";
+      await this.notify(schedule, `${outcome.message}${next}`);
+    }
+  }
+
+  // Returns { status, message } for one due run
+  async attempt(schedule) {
+    const user = await this.db.getUserById(schedule.userId);
+    const flow = this.flows.get(schedule.flowId);
+    if (!user || !flow) return { status: "skipped" };
+
+    // Already ran for this slot and crashed before moving nextRunAt: no skip
+    // notice (e.g. for the balance it just spent), just move on
+    const transactionId = this.getRunDocumentId(schedule);
+    if (await this.db.getTransaction(transactionId)) {
+      console.log(`🛑 Schedule ${schedule.$id} already ran for this slot`);
+      return { status: "duplicate" };
+    }
+
+    const label = `🗓 Scheduled ${schedule.label}`;
+    if (user.frozen) {
+      return {
+        status: "skipped",
+        message: `${label}\n⏭ Skipped: your account is frozen.`,
+      };
+    }
+
+    const data = JSON.parse(schedule.data);
+    try {
+      // Plan prices change, so plan-based flows look theirs up again
+      if (flow.confirm.refresh) {
+        await flow.confirm.refresh(data, { vtpass: this.vtpass });
+      }
+    } catch (error) {
+      if (!(error instanceof FlowAbortError)) throw error;
+      return {
+        status: "skipped",
+        message: `${label}\n⏭ Skipped: ${error.message}`,
+      };
+    }
+
+    const type = flow.type || flow.id;
+    const serviceID = flow.confirm.serviceID?.(data);
+    const amount = flow.confirm.amount(data);
+    const quote = this.purchases.getQuote({ user, type, serviceID, amount });
+
+    const wallet = await this.db.getUserWallet(user.$id);
+    if (!wallet || wallet.balance < quote.sellingPrice) {
+      return {
+        status: "skipped",
+        message: `${label}\n⏭ Skipped: your balance is too low for ₦${quote.sellingPrice.toFixed(
+          2
+        )}. Fund your wallet to keep it running.`,
+      };
+    }
+
+    let execution;
+    try {
+      execution = await this.purchases.execute({
+        user,
+        type,
+        serviceID,
+        amount,
+        quote,
+        details: { ...flow.confirm.details(data), scheduleId: schedule.$id },
+        purchase: flow.confirm.purchase(data, this.vtpass),
+        transactionId,
+      });
+    } catch (error) {
+      if (error.code === 409) {
+        console.log(`🛑 Schedule ${schedule.$id} already ran for this slot`);
+        return { status: "duplicate" };
+      }
+      throw error;
+    }
+
+    const { result, transactionStatus, refund } = execution;
+    if (transactionStatus === "success") {
+      return {
+        status: "success",
+        message: `${label}\n${flow.confirm.success(data, result)}`,
+      };
+    }
+    if (transactionStatus === "pending") {
+      return {
+        status: "pending",
+        message: `${label}\n⏳ Still processing with the provider. We'll message you when it's confirmed.`,
+      };
+    }
+    const refundNote = refund ? "\n💸 Your wallet has been refunded." : "";
+    return {
+      status: "failed",
+      message: `${label}\n❌ Failed: ${
+        result.response_description || "Unknown error"
+      }${refundNote}`,
+    };
+  }
+
+  async notify(schedule, message) {
+    try {
+      const user = await this.db.getUserById(schedule.userId);
+      if (user) await this.bot.sendMessage(user.telegramId, message);
+    } catch (error) {
+      console.error("Schedule notification Error:", error);
+    }
+  }
+}
+
+export default Scheduler;
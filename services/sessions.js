@@ -0,0 +1,263 @@
+// services/sessions.js
+// Conversation state per chat. Every store has the same async interface:
+//   get(chatId)          -> session object, or null if missing/expired
+//   set(chatId, session) -> saves it and restarts its TTL; an empty session
+//                           is the same as delete
+//   delete(chatId)
+//   cleanup()            -> drops expired sessions
+//   start() / stop()     -> periodic cleanup
+import fs from "fs/promises";
+import path from "path";
+import { Query } from "node-appwrite";
+import { databases, DATABASE_ID, COLLECTIONS } from "../config/appwrite.js";
+
+const DEFAULT_TTL = 30 * 60 * 1000;
+const CLEANUP_INTERVAL = 60 * 1000;
+
+class SessionStore {
+  constructor({ ttl = DEFAULT_TTL } = {}) {
+    this.ttl = ttl;
+    this.timer = null;
+  }
+
+  isEmpty(session) {
+    return !session || Object.keys(session).length === 0;
+  }
+
+  isExpired(lastActivity) {
+    return Date.now() - lastActivity > this.ttl;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(async () => {
+      try {
+        await this.cleanup();
+      } catch (error) {
+        console.error("Session cleanup Error:", error);
+      }
+    }, CLEANUP_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+class MemorySessionStore extends SessionStore {
+  constructor(options) {
+    super(options);
+    this.sessions = new Map();
+  }
+
+  async get(chatId) {
+    const entry = this.sessions.get(String(chatId));
+    if (!entry) return null;
+    if (this.isExpired(entry.lastActivity)) {
+      this.sessions.delete(String(chatId));
+      return null;
+    }
+    return entry.data;
+  }
+
+  async set(chatId, session) {
+    if (this.isEmpty(session)) return this.delete(chatId);
+    this.sessions.set(String(chatId), {
+      data: session,
+      lastActivity: Date.now(),
+    });
+  }
+
+  async delete(chatId) {
+    this.sessions.delete(String(chatId));
+  }
+
+  async cleanup() {
+    for (const [chatId, entry] of this.sessions) {
+      if (this.isExpired(entry.lastActivity)) this.sessions.delete(chatId);
+    }
+  }
+}
+
+// Local development store: keeps every session in one JSON file so restarts
+// of `npm run dev` don't drop conversations. Not meant for multiple processes.
+class FileSessionStore extends SessionStore {
+  constructor({ filePath = ".sessions.json", ...options } = {}) {
+    super(options);
+    this.filePath = path.resolve(filePath);
+    this.sessions = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (this.sessions) return this.sessions;
+    try {
+      const raw = await fs.readFile(this.filePath, "utf8");
+      this.sessions = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("FileSessionStore load Error:", error);
+      }
+      this.sessions = {};
+    }
+    return this.sessions;
+  }
+
+  // Writes are chained so they land in order, and go through a temp file so
+  // a crash mid-write can't leave half a JSON document behind.
+  persist() {
+    const snapshot = JSON.stringify(this.sessions);
+    this.writing = this.writing.then(async () => {
+      const tmp = `${this.filePath}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, this.filePath);
+    });
+    return this.writing;
+  }
+
+  async get(chatId) {
+    const sessions = await this.load();
+    const entry = sessions[chatId];
+    if (!entry) return null;
+    if (this.isExpired(entry.lastActivity)) {
+      await this.delete(chatId);
+      return null;
+    }
+    return entry.data;
+  }
+
+  async set(chatId, session) {
+    if (this.isEmpty(session)) return this.delete(chatId);
+    const sessions = await this.load();
+    sessions[chatId] = { data: session, lastActivity: Date.now() };
+    await this.persist();
+  }
+
+  async delete(chatId) {
+    const sessions = await this.load();
+    if (!(chatId in sessions)) return;
+    delete sessions[chatId];
+    await this.persist();
+  }
+
+  async cleanup() {
+    const sessions = await this.load();
+    let removed = 0;
+    for (const [chatId, entry] of Object.entries(sessions)) {
+      if (this.isExpired(entry.lastActivity)) {
+        delete sessions[chatId];
+        removed++;
+      }
+    }
+    if (removed) await this.persist();
+  }
+}
+
+// Shared store for production: one document per chat in the SESSIONS
+// collection (attributes: chatId, data, expiresAt), so sessions survive
+// deploys and can be read by more than one instance.
+class AppwriteSessionStore extends SessionStore {
+  documentId(chatId) {
+    return `chat_${chatId}`;
+  }
+
+  async get(chatId) {
+    try {
+      const doc = await databases.getDocument(
+        DATABASE_ID,
+        COLLECTIONS.SESSIONS,
+        this.documentId(chatId)
+      );
+      if (new Date(doc.expiresAt).getTime() < Date.now()) {
+        await this.delete(chatId);
+        return null;
+      }
+      return JSON.parse(doc.data);
+    } catch (error) {
+      if (error.code === 404) return null;
+      console.error("AppwriteSessionStore get Error:", error);
+      throw error;
+    }
+  }
+
+  async set(chatId, session) {
+    if (this.isEmpty(session)) return this.delete(chatId);
+    try {
+      await databases.upsertDocument(
+        DATABASE_ID,
+        COLLECTIONS.SESSIONS,
+        this.documentId(chatId),
+        {
+          chatId: String(chatId),
+          data: JSON.stringify(session),
+          expiresAt: new Date(Date.now() + this.ttl).toISOString(),
+        }
+      );
+    } catch (error) {
+      console.error("AppwriteSessionStore set Error:", error);
+      throw error;
+    }
+  }
+
+  async delete(chatId) {
+    try {
+      await databases.deleteDocument(
+        DATABASE_ID,
+        COLLECTIONS.SESSIONS,
+        this.documentId(chatId)
+      );
+    } catch (error) {
+      if (error.code === 404) return;
+      console.error("AppwriteSessionStore delete Error:", error);
+      throw error;
+    }
+  }
+
+  async cleanup() {
+    const response = await databases.listDocuments(
+      DATABASE_ID,
+      COLLECTIONS.SESSIONS,
+      [Query.lessThan("expiresAt", new Date().toISOString()), Query.limit(100)]
+    );
+    for (const doc of response.documents) {
+      await databases.deleteDocument(
+        DATABASE_ID,
+        COLLECTIONS.SESSIONS,
+        doc.$id
+      );
+    }
+  }
+}
+
+// Handlers mutate the session in place and save it when they finish, so
+// ending a conversation means emptying it (every store drops empty sessions).
+function clearSession(session) {
+  for (const key of Object.keys(session)) delete session[key];
+}
+
+function createSessionStore(type = process.env.SESSION_STORE, options = {}) {
+  switch (type) {
+    case "appwrite":
+      return new AppwriteSessionStore(options);
+    case "file":
+      return new FileSessionStore({
+        filePath: process.env.SESSION_FILE,
+        ...options,
+      });
+    case "memory":
+    case undefined:
+    case "":
+      return new MemorySessionStore(options);
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+}
+
+export {
+  MemorySessionStore,
+  FileSessionStore,
+  AppwriteSessionStore,
+  createSessionStore,
+  clearSession,
+};
@@ -0,0 +1,43 @@
+// services/sms.js
+// SMS through Termii, for one-time codes that have to reach the phone itself
+// rather than the Telegram session (PIN resets). Without TERMII_API_KEY the
+// service reports itself unavailable and callers fall back to support.
+import axios from "axios";
+
+class SmsService {
+  constructor() {
+    this.apiKey = process.env.TERMII_API_KEY;
+    this.senderId = process.env.TERMII_SENDER_ID || "N-Alert";
+    this.baseURL = process.env.TERMII_BASE_URL || "https://api.ng.termii.com";
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  // phone: digits with the country code, e.g. 2348031234567
+  async send(phone, message) {
+    try {
+      if (!this.apiKey) throw new Error("TERMII_API_KEY is not defined");
+      const response = await axios.post(
+        `${this.baseURL}/api/sms/send`,
+        {
+          api_key: this.apiKey,
+          to: phone,
+          from: this.senderId,
+          sms: message,
+          type: "plain",
+          // The DND route still delivers to numbers that blocked promos
+          channel: "dnd",
+        },
+        { timeout: 15000 }
+      );
+      return response.data;
+    } catch (error) {
+      console.error("SMS Error:", error.response?.data || error.message);
+      throw new Error("SMS sending failed");
+    }
+  }
+}
+
+export default SmsService;
@@ -0,0 +1,285 @@
+// services/statement.js
+// Account statements for a date range: opening balance, every wallet credit
+// and debit from the ledger with the balance after it, totals per category
+// and the closing balance. The transaction behind each ledger entry (matched
+// by reference) only supplies the description and category, so a purchase
+// that is pending but was never debited doesn't show up. Rendered as CSV or
+// PDF locally.
+import { toCsv } from "./csv.js";
+import { textPdf, lineWidth } from "./pdf.js";
+import { lagosTime } from "../flows/schedule.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 366;
+
+// Cashback earnings go to the cashback balance, not the wallet, so they
+// only show up once redeemed
+const CREDIT_CATEGORIES = {
+  credit: "Wallet funding",
+  refund: "Refunds",
+  referral_bonus: "Referral bonuses",
+  cashback_redeem: "Cashback redeemed",
+  admin_credit: "Adjustments",
+};
+const DEBIT_CATEGORIES = {
+  airtime: "Airtime",
+  data: "Data",
+  electricity: "Electricity",
+  tv: "TV",
+  education: "Exam PINs",
+  funding_refund: "Card/bank refunds",
+  dispute_hold: "Disputed payments",
+  admin_debit: "Adjustments",
+};
+
+const money = (amount) => amount.toFixed(2);
+
+// "2026-01-31 14:05" in Lagos time (UTC+1 all year)
+const formatDate = (date) =>
+  new Date(new Date(date).getTime() + 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ");
+
+class StatementError extends Error {}
+
+class StatementService {
+  constructor({ db }) {
+    if (!db) throw new Error("StatementService requires db");
+    this.db = db;
+  }
+
+  // from/to are "YYYY-MM-DD" Lagos dates, both included
+  validateRange(from, to) {
+    // The round trip rejects dates like 2026-02-30
+    const valid = (date) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+      !isNaN(Date.parse(date)) &&
+      new Date(date).toISOString().startsWith(date);
+    if (!valid(from) || !valid(to)) {
+      throw new StatementError("Dates must look like 2026-01-31");
+    }
+    if (from > to) {
+      throw new StatementError("The start date is after the end date");
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / DAY + 1;
+    if (days > MAX_DAYS) {
+      throw new StatementError("A statement can cover at most one year");
+    }
+  }
+
+  describe(transaction, details) {
+    if (transaction.type === "refund" && details.originalReference) {
+      return `Refund of ${details.originalReference}`;
+    }
+    if (transaction.type === "dispute_hold") {
+      return `Held for dispute on ${details.originalReference}`;
+    }
+    if (transaction.type === "funding_refund") {
+      return `Paystack refund of ${details.originalReference}`;
+    }
+    const target =
+      details.phone || details.meter || details.card || details.profileId;
+    const product = details.plan || details.network || details.provider;
+    return [
+      CREDIT_CATEGORIES[transaction.type] || DEBIT_CATEGORIES[transaction.type],
+      product,
+      target,
+      ["refunded", "pending"].includes(transaction.status)
+        ? `(${transaction.status})`
+        : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  async build(user, from, to) {
+    this.validateRange(from, to);
+    const start = lagosTime(from, 0).toISOString();
+    const end = new Date(lagosTime(to, 0).getTime() + DAY).toISOString();
+
+    const [opening, ledger, transactions] = await Promise.all([
+      this.db.getBalanceAt(user.$id, start),
+      this.db.getLedgerEntriesBetween(user.$id, start, end),
+      this.db.getTransactionsBetween(user.$id, start, end),
+    ]);
+    const byReference = new Map(
+      transactions.map((transaction) => [transaction.reference, transaction])
+    );
+
+    const entries = [];
+    const categories = {};
+    for (const entry of ledger) {
+      // The transaction can fall just outside the range when its wallet
+      // change landed across midnight
+      const transaction =
+        byReference.get(entry.reference) ||
+        (await this.db.findTransactionByReference(entry.reference));
+      const isCredit = entry.type === "credit";
+      const amount = parseFloat(entry.amount);
+      const category =
+        (isCredit ? CREDIT_CATEGORIES : DEBIT_CATEGORIES)[transaction?.type] ||
+        "Adjustments";
+      categories[category] ??= { count: 0, credit: 0, debit: 0 };
+      categories[category].count++;
+      categories[category][isCredit ? "credit" : "debit"] += amount;
+
+      entries.push({
+        date: entry.createdAt,
+        reference: entry.reference,
+        description: transaction
+          ? this.describe(
+              transaction,
+              this.db.parseTransactionDetails(transaction)
+            )
+          : category,
+        category,
+        credit: isCredit ? amount : 0,
+        debit: isCredit ? 0 : amount,
+        balance: parseFloat(entry.balanceAfter),
+      });
+    }
+
+    const sum = (key) =>
+      entries.reduce((total, entry) => total + entry[key], 0);
+    const totalCredit = sum("credit");
+    const totalDebit = sum("debit");
+    // Entries written in the same instant can come back in either order, so
+    // the last row isn't necessarily the last balance. The movements are.
+    const closing = parseFloat((opening + totalCredit - totalDebit).toFixed(2));
+    if (
+      entries.length &&
+      !entries.some((entry) => Math.abs(entry.balance - closing) < 0.005)
+    ) {
+      console.warn(
+        `⚠️ Statement for ${user.$id} (${from} to ${to}): closing ₦${closing} matches no ledger balance`
+      );
+    }
+    return {
+      user,
+      from,
+      to,
+      opening,
+      closing,
+      totalCredit,
+      totalDebit,
+      entries,
+      categories,
+    };
+  }
+
+  toCsv(statement) {
+    const rows = [
+      ["", "", "Opening balance", "", "", "", money(statement.opening)],
+      ...statement.entries.map((entry) => [
+        formatDate(entry.date),
+        entry.reference,
+        entry.description,
+        entry.category,
+        entry.debit ? money(entry.debit) : "",
+        entry.credit ? money(entry.credit) : "",
+        money(entry.balance),
+      ]),
+      [
+        "",
+        "",
+        "Closing balance",
+        "",
+        money(statement.totalDebit),
+        money(statement.totalCredit),
+        money(statement.closing),
+      ],
+      [],
+      ["Category", "Count", "", "", "Debit", "Credit", ""],
+      ...Object.entries(statement.categories).map(([category, total]) => [
+        category,
+        total.count,
+        "",
+        "",
+        money(total.debit),
+        money(total.credit),
+        "",
+      ]),
+    ];
+    return toCsv(
+      [
+        "Date",
+        "Reference",
+        "Description",
+        "Category",
+        "Debit",
+        "Credit",
+        "Balance",
+      ],
+      rows
+    );
+  }
+
+  toPdf(statement) {
+    const width = lineWidth();
+    const rule = "-".repeat(width);
+    const cell = (text, size, right = false) => {
+      const value = String(text).slice(0, size);
+      return right ? value.padStart(size) : value.padEnd(size);
+    };
+    const row = (date, description, debit, credit, balance) =>
+      [
+        cell(date, 17),
+        cell(description, width - 17 - 3 * 12 - 4),
+        cell(debit, 12, true),
+        cell(credit, 12, true),
+        cell(balance, 12, true),
+      ].join(" ");
+    const { user } = statement;
+
+    const lines = [
+      { text: "ACCOUNT STATEMENT", bold: true },
+      "",
+      `Customer: ${[user.firstName, user.lastName].filter(Boolean).join(" ")}${
+        user.username ? ` (@${user.username})` : ""
+      }`,
+      `Period:   ${statement.from} to ${statement.to}`,
+      `Issued:   ${formatDate(new Date())}`,
+      "",
+      `Opening balance: NGN ${money(statement.opening)}`,
+      `Total credits:   NGN ${money(statement.totalCredit)}`,
+      `Total debits:    NGN ${money(statement.totalDebit)}`,
+      { text: `Closing balance: NGN ${money(statement.closing)}`, bold: true },
+      "",
+      {
+        text: row("Date", "Description", "Debit", "Credit", "Balance"),
+        bold: true,
+      },
+      rule,
+      // References are too long for a column, so they go underneath
+      ...statement.entries.flatMap((entry) => [
+        row(
+          formatDate(entry.date),
+          entry.description,
+          entry.debit ? money(entry.debit) : "",
+          entry.credit ? money(entry.credit) : "",
+          money(entry.balance)
+        ),
+        `${" ".repeat(18)}Ref: ${entry.reference}`,
+      ]),
+      ...(statement.entries.length
+        ? []
+        : ["No wallet activity in this period."]),
+      rule,
+      "",
+      { text: "Totals by category", bold: true },
+      ...Object.entries(statement.categories).map(
+        ([category, total]) =>
+          `${cell(category, 24)}${cell(total.count, 8, true)}  Debit ${cell(
+            money(total.debit),
+            12,
+            true
+          )}  Credit ${cell(money(total.credit), 12, true)}`
+      ),
+    ];
+    return textPdf(lines);
+  }
+}
+
+export default StatementService;
+export { StatementError };
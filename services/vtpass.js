@@ -1,4 +1,54 @@
 import axios from "axios";
+import crypto from "crypto";
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Token, units and customer details from an electricity pay or requery
+// response. Discos fill different fields, and postpaid has no token.
+function getElectricityToken(result) {
+  if (!result) return {};
+  const raw = result.mainToken || result.token || result.purchased_code;
+  const token = raw
+    ? String(raw)
+        .replace(/^\s*token\s*:\s*/i, "")
+        .trim()
+    : null;
+  const units = result.mainTokenUnits ?? result.units;
+  return Object.fromEntries(
+    Object.entries({
+      token,
+      units: units != null ? String(units) : null,
+      customerName: result.customerName || result.CustomerName,
+      customerAddress: result.customerAddress || result.Address,
+    }).filter(([, value]) => value)
+  );
+}
+
+// PINs from an education pay or requery response: WAEC checkers come as
+// cards [{ Serial, Pin }], WAEC registration as tokens [], JAMB as a single
+// "Pin : ..." string.
+function getEducationPins(result) {
+  if (!result) return [];
+  if (Array.isArray(result.cards)) {
+    return result.cards.map((card) => ({
+      pin: String(card.Pin),
+      serial: card.Serial ? String(card.Serial) : null,
+    }));
+  }
+  if (Array.isArray(result.tokens)) {
+    return result.tokens.map((token) => ({ pin: String(token), serial: null }));
+  }
+  const raw = result.Pin || result.purchased_code;
+  if (!raw) return [];
+  return [
+    {
+      pin: String(raw)
+        .replace(/^\s*pin\s*:\s*/i, "")
+        .trim(),
+      serial: null,
+    },
+  ];
+}
 
 class VTPassService {
   constructor() {
@@ -19,8 +69,24 @@ class VTPassService {
     );
   }
 
+  // VTPass expects request_id to start with the current Africa/Lagos time as
+  // YYYYMMDDHHII, anything unique can follow.
   generateRequestId() {
-    return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-GB", {
+        timeZone: "Africa/Lagos",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+        .formatToParts(new Date())
+        .map((part) => [part.type, part.value])
+    );
+    const suffix = crypto.randomBytes(6).toString("hex");
+    return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${suffix}`;
   }
 
   async makeRequest(endpoint, data = {}) {
@@ -28,6 +94,9 @@ class VTPassService {
       if (this.isTestMode && endpoint === "pay") {
         return await this.simulateTestResponse(data);
       }
+      if (this.isTestMode && endpoint === "requery") {
+        return this.simulateRequeryResponse(data);
+      }
 
       const response = await axios.post(`${this.baseURL}/${endpoint}`, data, {
         headers: {
@@ -35,7 +104,7 @@ class VTPassService {
           "secret-key": this.secretKey,
           "Content-Type": "application/json",
         },
-        timeout: 30000,
+        timeout: REQUEST_TIMEOUT_MS,
       });
 
       return response.data;
@@ -85,11 +154,56 @@ class VTPassService {
           amount: data.amount || data.variation_amount || 0,
           phone: data.phone,
           date: new Date().toISOString(),
+          ...this.simulateEducationPins(data),
+          ...(data.variation_code === "prepaid"
+            ? {
+                purchased_code: `Token : ${String(Date.now())
+                  .padStart(20, "0")
+                  .replace(/(\d{4})(?=\d)/g, "$1-")}`,
+                units: (data.amount / 60).toFixed(1),
+                customerName: "Test Customer",
+                customerAddress: "1 Test Street, Lagos",
+              }
+            : {}),
         });
       }, 2000);
     });
   }
 
+  simulateEducationPins(data) {
+    const pin = (i) => `${Date.now()}${i}`.slice(-12);
+    const quantity = parseInt(data.quantity, 10) || 1;
+    if (data.serviceID === "waec") {
+      return {
+        cards: Array.from({ length: quantity }, (_, i) => ({
+          Serial: `WRN${pin(i)}`,
+          Pin: pin(i),
+        })),
+      };
+    }
+    if (data.serviceID === "waec-registration") {
+      return { tokens: Array.from({ length: quantity }, (_, i) => pin(i)) };
+    }
+    if (data.serviceID === "jamb") return { Pin: `Pin : ${pin(0)}` };
+    return {};
+  }
+
+  simulateRequeryResponse(data) {
+    console.log("🧪 Simulating VTPass requery for:", data.request_id);
+    return {
+      code: "000",
+      response_description: "TRANSACTION SUCCESSFUL",
+      requestId: data.request_id,
+      content: {
+        transactions: {
+          status: "delivered",
+          product_name: "VTU Service",
+          transactionId: `TEST_${this.generateRequestId()}`,
+        },
+      },
+    };
+  }
+
   simulateTestError() {
     const errors = [
       {
@@ -129,11 +243,10 @@ class VTPassService {
     return products[serviceID] || "VTU Service";
   }
 
-  async buyAirtime(serviceID, amount, phone) {
-    if (!serviceID || !amount || !phone) {
-      throw new Error("serviceID, amount, and phone are required");
+  async buyAirtime(serviceID, amount, phone, requestId) {
+    if (!serviceID || !amount || !phone || !requestId) {
+      throw new Error("serviceID, amount, phone, and requestId are required");
     }
-    const requestId = this.generateRequestId();
     console.log(`🧪 Test Airtime Purchase:`, {
       service: serviceID,
       amount,
@@ -150,11 +263,12 @@ class VTPassService {
     });
   }
 
-  async buyData(serviceID, variation_code, phone) {
-    if (!serviceID || !variation_code || !phone) {
-      throw new Error("serviceID, variation_code, and phone are required");
+  async buyData(serviceID, variation_code, phone, requestId) {
+    if (!serviceID || !variation_code || !phone || !requestId) {
+      throw new Error(
+        "serviceID, variation_code, phone, and requestId are required"
+      );
     }
-    const requestId = this.generateRequestId();
     console.log(`🧪 Test Data Purchase:`, {
       service: serviceID,
       variation: variation_code,
@@ -176,12 +290,19 @@ class VTPassService {
     billersCode,
     variation_code,
     amount,
-    phone
+    phone,
+    requestId
   ) {
-    if (!serviceID || !billersCode || !variation_code || !amount || !phone) {
+    if (
+      !serviceID ||
+      !billersCode ||
+      !variation_code ||
+      !amount ||
+      !phone ||
+      !requestId
+    ) {
       throw new Error("All parameters are required");
     }
-    const requestId = this.generateRequestId();
     console.log(`🧪 Test Electricity Payment:`, {
       service: serviceID,
       meter: billersCode,
@@ -202,17 +323,31 @@ class VTPassService {
     });
   }
 
-  async payTvSubscription(serviceID, billersCode, variation_code) {
-    if (!serviceID || !billersCode || !variation_code) {
+  // subscriptionType: "change" (buy variation_code) or "renew" (the card's
+  // current bouquet at its renewal amount, no variation_code). Only DStv and
+  // GOtv take it; StarTimes and Showmax just buy the variation.
+  async payTvSubscription(
+    serviceID,
+    billersCode,
+    variation_code,
+    requestId,
+    { subscriptionType, amount, phone } = {}
+  ) {
+    if (
+      !serviceID ||
+      !billersCode ||
+      (!variation_code && subscriptionType !== "renew") ||
+      !requestId
+    ) {
       throw new Error(
-        "serviceID, billersCode, and variation_code are required"
+        "serviceID, billersCode, variation_code, and requestId are required"
       );
     }
-    const requestId = this.generateRequestId();
     console.log(`🧪 Test TV Subscription:`, {
       service: serviceID,
       card: billersCode,
       variation: variation_code,
+      subscriptionType,
       requestId,
       testMode: this.isTestMode,
     });
@@ -221,10 +356,72 @@ class VTPassService {
       request_id: requestId,
       serviceID,
       billersCode,
+      ...(variation_code ? { variation_code } : {}),
+      ...(subscriptionType ? { subscription_type: subscriptionType } : {}),
+      ...(amount ? { amount } : {}),
+      ...(phone ? { phone } : {}),
+    });
+  }
+
+  // WAEC result checker / registration and JAMB PINs. For JAMB billersCode
+  // is the candidate's profile ID and quantity is always 1.
+  async buyEducationPin(
+    serviceID,
+    variation_code,
+    quantity,
+    phone,
+    requestId,
+    { billersCode, amount } = {}
+  ) {
+    if (!serviceID || !variation_code || !quantity || !phone || !requestId) {
+      throw new Error(
+        "serviceID, variation_code, quantity, phone and requestId are required"
+      );
+    }
+    console.log(`🧪 Test Education PIN:`, {
+      service: serviceID,
+      variation: variation_code,
+      quantity,
+      profile: billersCode,
+      requestId,
+      testMode: this.isTestMode,
+    });
+
+    return await this.makeRequest("pay", {
+      request_id: requestId,
+      serviceID,
       variation_code,
+      quantity,
+      phone,
+      ...(amount ? { amount } : {}),
+      ...(billersCode ? { billersCode } : {}),
     });
   }
 
+  async requeryTransaction(requestId) {
+    if (!requestId) throw new Error("requestId is required");
+    return await this.makeRequest("requery", { request_id: requestId });
+  }
+
+  // A requery for a request_id VTPass never received comes back as "015"
+  isUnknownRequest(result) {
+    return result?.code === "015";
+  }
+
+  // Collapses a pay/requery response into delivered, failed or pending.
+  // "099" means VTPass is still processing; "000" only tells us the request
+  // was accepted, the delivery state is in content.transactions.status.
+  getTransactionStatus(result) {
+    if (!result) return "pending";
+    if (result.code === "099") return "pending";
+    if (result.code !== "000") return "failed";
+
+    const status = result.content?.transactions?.status;
+    if (status === "delivered") return "delivered";
+    if (status === "pending" || status === "initiated") return "pending";
+    return "failed";
+  }
+
   async getVariations(serviceID) {
     if (!serviceID) throw new Error("serviceID is required");
     if (this.isTestMode) {
@@ -297,6 +494,66 @@ class VTPassService {
           ],
         },
       },
+      waec: {
+        code: "000",
+        response_description: "SUCCESS",
+        content: {
+          ServiceName: "WAEC Result Checker PIN",
+          serviceID: "waec",
+          variations: [
+            {
+              variation_code: "waecdirect",
+              name: "WAEC Result Checker PIN",
+              variation_amount: "900",
+              fixedPrice: "Yes",
+            },
+          ],
+        },
+      },
+      "waec-registration": {
+        code: "000",
+        response_description: "SUCCESS",
+        content: {
+          ServiceName: "WAEC Registration PIN",
+          serviceID: "waec-registration",
+          variations: [
+            {
+              variation_code: "waec-registraion",
+              name: "WASSCE for Private Candidates",
+              variation_amount: "14450",
+              fixedPrice: "Yes",
+            },
+          ],
+        },
+      },
+      jamb: {
+        code: "000",
+        response_description: "SUCCESS",
+        content: {
+          ServiceName: "Jamb",
+          serviceID: "jamb",
+          variations: [
+            {
+              variation_code: "utme-mock",
+              name: "UTME PIN (with mock)",
+              variation_amount: "7700",
+              fixedPrice: "Yes",
+            },
+            {
+              variation_code: "utme-no-mock",
+              name: "UTME PIN (without mock)",
+              variation_amount: "6200",
+              fixedPrice: "Yes",
+            },
+            {
+              variation_code: "de",
+              name: "Direct Entry (DE)",
+              variation_amount: "6200",
+              fixedPrice: "Yes",
+            },
+          ],
+        },
+      },
     };
     return (
       mockVariations[serviceID] || {
@@ -306,6 +563,53 @@ class VTPassService {
     );
   }
 
+  // DStv, GOtv and StarTimes card lookup: Customer_Name, Current_Bouquet,
+  // Due_Date and (DStv/GOtv) Renewal_Amount
+  async verifySmartcard(billersCode, serviceID) {
+    if (!billersCode || !serviceID) {
+      throw new Error("billersCode and serviceID are required");
+    }
+    if (this.isTestMode) {
+      return {
+        code: "000",
+        response_description: "SUCCESS",
+        content: {
+          Customer_Name: "Test Customer",
+          Status: "Open",
+          Due_Date: "2025-12-31T00:00:00",
+          Customer_Number: billersCode,
+          Customer_Type: serviceID.toUpperCase(),
+          Current_Bouquet: "Test Bouquet",
+          Current_Bouquet_Code: "test-001",
+          ...(serviceID === "startimes" ? {} : { Renewal_Amount: 5500 }),
+        },
+      };
+    }
+    return await this.makeRequest("merchant-verify", {
+      billersCode,
+      serviceID,
+    });
+  }
+
+  // JAMB profile ID lookup; type is the PIN variation (utme-mock, de, ...)
+  async verifyJambProfile(profileId, type) {
+    if (!profileId || !type) {
+      throw new Error("profileId and type are required");
+    }
+    if (this.isTestMode) {
+      return {
+        code: "000",
+        response_description: "SUCCESS",
+        content: { Customer_Name: "Test Candidate" },
+      };
+    }
+    return await this.makeRequest("merchant-verify", {
+      billersCode: profileId,
+      serviceID: "jamb",
+      type,
+    });
+  }
+
   async verifyMeterNumber(billersCode, serviceID, type = "prepaid") {
     if (!billersCode || !serviceID) {
       throw new Error("billersCode and serviceID are required");
@@ -333,4 +637,5 @@ class VTPassService {
   }
 }
 
-export default VTPassService;
\ No newline at end of file
+export default VTPassService;
+export { getElectricityToken, getEducationPins, REQUEST_TIMEOUT_MS };
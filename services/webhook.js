@@ -0,0 +1,423 @@
+// services/webhook.js
+// Paystack webhook events, dispatched through a registry: each event name
+// maps to a handler that returns the { status, message } the route sends
+// back. New events plug in with on(event, handler). Anything unregistered
+// is acknowledged and ignored so Paystack doesn't keep retrying it.
+import { createHash } from "crypto";
+import { ADMIN_TELEGRAM_IDS } from "../config/admin.js";
+
+// Who gets recorded as freezing an account after a dispute
+const SYSTEM_ADMIN = { id: "paystack", username: "webhook" };
+
+const naira = (kobo) => kobo / 100;
+
+class PaystackWebhook {
+  constructor({ db, bot, paystack, referrals }) {
+    if (!db || !bot || !paystack) {
+      throw new Error("PaystackWebhook requires db, bot and paystack");
+    }
+    this.db = db;
+    this.bot = bot;
+    this.paystack = paystack;
+    this.referrals = referrals;
+    this.handlers = new Map();
+
+    this.on("charge.success", (data) => this.chargeSuccess(data));
+    this.on("charge.failed", (data) => this.chargeFailed(data));
+    this.on("refund.processed", (data) => this.refundProcessed(data));
+    this.on("refund.failed", (data) => this.refundFailed(data));
+    this.on("charge.dispute.create", (data) => this.disputeCreated(data));
+    for (const event of [
+      "transfer.success",
+      "transfer.failed",
+      "transfer.reversed",
+    ]) {
+      this.on(event, (data) => this.transferUpdated(event, data));
+    }
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  async dispatch(event, data) {
+    const handler = this.handlers.get(event);
+    if (!handler) return { status: 200, message: "Event ignored" };
+    console.log(
+      `🔔 Paystack ${event}:`,
+      data?.reference ||
+        data?.transaction_reference ||
+        data?.transaction?.reference ||
+        data?.id
+    );
+    return handler(data);
+  }
+
+  // Card payments carry FUND_<telegramId>_<timestamp> references; transfers
+  // to a dedicated account only carry the Paystack customer
+  async findUser(reference, customerCode) {
+    if (reference?.startsWith("FUND_")) {
+      return this.db.getUserByTelegramId(reference.split("_")[1]);
+    }
+    if (!customerCode) return null;
+    return this.db.findUserByPaystackCustomer(customerCode);
+  }
+
+  async chargeSuccess(data) {
+    const reference = data.reference;
+    const amount = naira(data.amount);
+    const isTransfer = data.channel === "dedicated_nuban";
+
+    // ✅ Fetch user
+    const user = await this.findUser(reference, data.customer?.customer_code);
+    if (!user) {
+      console.error(
+        "❌ User not found for reference:",
+        reference,
+        data.customer?.customer_code
+      );
+      return { status: 400, message: "User not found" };
+    }
+
+    // ✅ Skip retries of a settled payment without calling Paystack. This
+    // alone isn't a guard: creditFunding's claim is what stops a double credit
+    const existingTransaction = await this.db.findTransactionByReference(
+      reference
+    );
+    if (existingTransaction?.status === "success") {
+      console.log("🛑 Duplicate webhook for reference:", reference);
+      return { status: 200, message: "Transaction already processed" };
+    }
+
+    // ✅ Verify payment with Paystack
+    const verification = await this.paystack.verifyPayment(reference);
+    if (verification.data.status !== "success") {
+      console.error("❌ Payment verification failed:", reference);
+      return { status: 400, message: "Payment not successful" };
+    }
+
+    // ✅ Credit wallet
+    const funding = await this.creditFunding(
+      user,
+      amount,
+      reference,
+      verification.data,
+      isTransfer
+        ? {
+            method: "bank_transfer",
+            senderName: data.authorization?.sender_name,
+            senderBank: data.authorization?.sender_bank,
+          }
+        : {}
+    );
+    if (!funding) {
+      console.log("🛑 Duplicate webhook for reference:", reference);
+      return { status: 200, message: "Transaction already processed" };
+    }
+
+    // ✅ Notify user
+    await this.notify(
+      user,
+      isTransfer
+        ? `✅ Bank transfer of ₦${amount.toFixed(
+            2
+          )} received. Your wallet has been funded!`
+        : `✅ Wallet funded successfully with ₦${amount.toFixed(2)}!`
+    );
+    await this.referrals?.rewardReferrer(user.$id, "funding");
+
+    console.log(`✅ Wallet funded: ₦${amount} for user ${user.$id}`);
+    return { status: 200, message: "Webhook processed" };
+  }
+
+  // One credit per Paystack reference: the funding record's document id is
+  // made from the reference, so a webhook retry (or the test-mode poller)
+  // racing this one fails with 409 before the wallet moves. Hashed because
+  // transfer references aren't ours and may not fit Appwrite's id rules.
+  getFundingDocumentId(reference) {
+    return `fund_${createHash("sha256")
+      .update(reference)
+      .digest("hex")
+      .slice(0, 20)}`;
+  }
+
+  // Credits a verified payment and returns its transaction, or null when the
+  // reference was already claimed. The pending record /fund made for the
+  // payment link is replaced by this one.
+  async creditFunding(user, amount, reference, verification, details = {}) {
+    const intent = await this.db.findTransactionByReference(reference);
+    let funding;
+    try {
+      funding = await this.db.createTransaction(
+        user.$id,
+        "credit",
+        amount,
+        {
+          ...(intent && this.db.parseTransactionDetails(intent)),
+          reference,
+          source: "Paystack",
+          paymentSource: this.paystack.getPaymentSource(verification),
+          ...details,
+        },
+        "pending",
+        this.getFundingDocumentId(reference)
+      );
+    } catch (error) {
+      if (error.code === 409) return null;
+      throw error;
+    }
+
+    await this.db.updateWalletBalance(user.$id, amount, "credit", reference);
+    await this.db.updateTransaction(funding.$id, { status: "success" });
+    const { paymentSource } = this.db.parseTransactionDetails(funding);
+    if (paymentSource) {
+      await this.db.addFundingSource(user.$id, paymentSource);
+    }
+    if (intent && intent.$id !== funding.$id) {
+      await this.db.deleteTransaction(intent.$id);
+    }
+    return funding;
+  }
+
+  // The /fund link was used but the card was declined
+  async chargeFailed(data) {
+    const transaction = await this.db.findTransactionByReference(
+      data.reference
+    );
+    if (transaction?.type !== "credit" || transaction.status !== "pending") {
+      return { status: 200, message: "Nothing pending" };
+    }
+
+    const reason = data.gateway_response || "Payment failed";
+    await this.db.updateTransaction(transaction.$id, {
+      status: "failed",
+      details: JSON.stringify({
+        ...this.db.parseTransactionDetails(transaction),
+        failureReason: reason,
+      }),
+    });
+    const user = await this.db.getUserById(transaction.userId);
+    if (user) {
+      await this.notify(
+        user,
+        `❌ Your payment of ₦${naira(data.amount).toFixed(
+          2
+        )} failed: ${reason}.\n\nNothing was added to your wallet. You can try again with /fund <amount>.`
+      );
+    }
+    console.log(`❌ Funding failed: ${data.reference} (${reason})`);
+    return { status: 200, message: "Charge failure recorded" };
+  }
+
+  // A refund from the Paystack dashboard sends the money back to the card
+  // or bank, so it has to come out of the wallet too. The Paystack refund id
+  // makes the document id, so a repeated webhook fails with 409.
+  async refundProcessed(data) {
+    const reference = data.transaction_reference;
+    const funding = await this.db.findTransactionByReference(reference);
+    if (funding?.type !== "credit" || funding.status !== "success") {
+      console.warn("⚠️ Refund for unknown funding:", reference);
+      return { status: 200, message: "Refund ignored" };
+    }
+
+    const amount = naira(data.amount);
+    let transaction;
+    try {
+      transaction = await this.db.createTransaction(
+        funding.userId,
+        "funding_refund",
+        amount,
+        {
+          reference: `PSREFUND_${data.id}`,
+          originalReference: reference,
+          originalTransactionId: funding.$id,
+        },
+        "pending",
+        `psrefund_${data.id}`
+      );
+    } catch (error) {
+      if (error.code === 409) {
+        console.log("🛑 Duplicate refund webhook:", reference);
+        return { status: 200, message: "Refund already processed" };
+      }
+      throw error;
+    }
+
+    const user = await this.db.getUserById(funding.userId);
+    try {
+      await this.db.updateWalletBalance(
+        funding.userId,
+        amount,
+        "debit",
+        transaction.reference
+      );
+    } catch (error) {
+      if (error.message !== "Insufficient balance") throw error;
+      // Already spent: stop further spending until an admin sorts it out
+      await this.db.updateTransaction(transaction.$id, { status: "failed" });
+      await this.db.setUserFrozen(
+        SYSTEM_ADMIN,
+        funding.userId,
+        true,
+        `Refund ${reference} exceeds wallet balance`
+      );
+      await this.alertAdmins(
+        `⚠️ Paystack refunded ₦${amount.toFixed(
+          2
+        )} of ${reference}, but the wallet can't cover it. User ${this.describeUser(
+          user,
+          funding.userId
+        )} has been frozen.`
+      );
+      return { status: 200, message: "Refund recorded, wallet short" };
+    }
+
+    await this.db.updateTransaction(transaction.$id, { status: "success" });
+    if (user) {
+      await this.notify(
+        user,
+        `↩️ ₦${amount.toFixed(
+          2
+        )} from payment ${reference} was refunded to your card or bank, so it has been taken out of your wallet.`
+      );
+    }
+    console.log(`↩️ Funding refund applied: ₦${amount} for ${reference}`);
+    return { status: 200, message: "Refund processed" };
+  }
+
+  async refundFailed(data) {
+    await this.alertAdmins(
+      `⚠️ Paystack refund of ₦${naira(data.amount).toFixed(2)} for ${
+        data.transaction_reference
+      } failed. The wallet was not touched.`
+    );
+    return { status: 200, message: "Refund failure noted" };
+  }
+
+  // Until the dispute is resolved the disputed funds can't be trusted, so
+  // they are taken out of the wallet as a dispute_hold debit. If the payment
+  // stands an admin credits them back. Only when the wallet can't cover the
+  // amount is the whole account frozen instead. The dispute id makes the
+  // document id, so a repeated webhook fails with 409.
+  async disputeCreated(data) {
+    const reference = data.transaction?.reference;
+    const amount = naira(data.transaction?.amount ?? data.amount ?? 0);
+    const user = await this.findUser(reference, data.customer?.customer_code);
+    const alert = `🚨 Paystack dispute opened on ${reference} for ₦${amount.toFixed(
+      2
+    )}.\nReason: ${data.category || "not given"}\nDue by: ${
+      data.dueAt || data.due_at || "unknown"
+    }`;
+    if (!user) {
+      await this.alertAdmins(`${alert}\nUser: not found`);
+      return { status: 200, message: "Dispute recorded" };
+    }
+
+    let hold;
+    try {
+      hold = await this.db.createTransaction(
+        user.$id,
+        "dispute_hold",
+        amount,
+        {
+          reference: `DISPUTE_${data.id}`,
+          originalReference: reference,
+          category: data.category,
+        },
+        "pending",
+        `dispute_${data.id}`
+      );
+    } catch (error) {
+      if (error.code === 409) {
+        console.log("🛑 Duplicate dispute webhook:", reference);
+        return { status: 200, message: "Dispute already recorded" };
+      }
+      throw error;
+    }
+
+    let outcome;
+    try {
+      await this.db.updateWalletBalance(
+        user.$id,
+        amount,
+        "debit",
+        hold.reference
+      );
+      await this.db.updateTransaction(hold.$id, { status: "success" });
+      outcome = `₦${amount.toFixed(
+        2
+      )} is held out of their wallet. If the payment stands, give it back with /admin credit.`;
+      await this.notify(
+        user,
+        `⚠️ A dispute was opened on your payment ${reference}, so ₦${amount.toFixed(
+          2
+        )} is on hold until it's resolved.`
+      );
+    } catch (error) {
+      if (error.message !== "Insufficient balance") throw error;
+      await this.db.updateTransaction(hold.$id, { status: "failed" });
+      if (!user.frozen) {
+        await this.db.setUserFrozen(
+          SYSTEM_ADMIN,
+          user.$id,
+          true,
+          `Paystack dispute on ${reference}`
+        );
+      }
+      outcome =
+        "Their wallet can't cover the disputed amount, so the whole account has been frozen.";
+    }
+
+    await this.alertAdmins(
+      `${alert}\nUser: ${this.describeUser(user)}\n${outcome}`
+    );
+    return { status: 200, message: "Dispute recorded" };
+  }
+
+  // The bot doesn't send transfers itself; these are payouts made from the
+  // Paystack balance, so admins hear about the ones that went wrong
+  async transferUpdated(event, data) {
+    const summary = `₦${naira(data.amount).toFixed(2)} to ${
+      data.recipient?.details?.account_name || data.recipient?.name || "?"
+    } (${data.reference})`;
+    if (event === "transfer.success") {
+      console.log(`✅ Paystack transfer sent: ${summary}`);
+    } else {
+      await this.alertAdmins(
+        `⚠️ Paystack transfer ${
+          event === "transfer.failed" ? "failed" : "reversed"
+        }: ${summary}${data.reason ? `\nReason: ${data.reason}` : ""}`
+      );
+    }
+    return { status: 200, message: "Transfer update noted" };
+  }
+
+  describeUser(user, fallbackId) {
+    if (!user) return fallbackId;
+    return `${user.firstName}${user.username ? ` (@${user.username})` : ""} [${
+      user.telegramId
+    }]`;
+  }
+
+  async notify(user, message) {
+    try {
+      await this.bot.sendMessage(user.telegramId, message);
+    } catch (error) {
+      console.error("Webhook Notify Error:", error.message);
+    }
+  }
+
+  async alertAdmins(message) {
+    console.warn(message);
+    for (const adminId of ADMIN_TELEGRAM_IDS) {
+      try {
+        await this.bot.sendMessage(adminId, message);
+      } catch (error) {
+        console.error("Admin Alert Error:", error.message);
+      }
+    }
+  }
+}
+
+export default PaystackWebhook;